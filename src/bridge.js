@@ -16,33 +16,50 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
+import { ONYX_LANGUAGE_CONTEXT, toMcpToolResult } from './core/mcp-shared.js';
 
 // Use fetch instead of axios for simpler dependencies
 
-class McpHttpBridge {
-  constructor(httpServerUrl = 'http://localhost:3001') {
+export class McpHttpBridge {
+  constructor(httpServerUrl = 'http://localhost:3001', apiKey = process.env.ONYX_MCP_API_KEY) {
     this.httpServerUrl = httpServerUrl;
+    this.apiKey = apiKey;
     this.server = new Server(
       { name: 'onyx-mcp-bridge', version: '1.0.0' },
-      { capabilities: { tools: {} } }
+      {
+        capabilities: { tools: {}, resources: {}, prompts: {} },
+        instructions: ONYX_LANGUAGE_CONTEXT
+      }
     );
 
     this.setupHandlers();
+    this.setupResourceHandlers();
+    this.setupPromptHandlers();
   }
 
   async fetchJson(url, options = {}) {
     const response = await fetch(url, {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
         ...options.headers
-      },
-      ...options
+      }
     });
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      // Auth, rate limit and validation errors carry a message worth showing
+      const body = await response.json().catch(() => null);
+      const error = new Error(`HTTP ${response.status}: ${body?.message || body?.error || response.statusText}`);
+      error.body = body;
+      throw error;
     }
 
     return response.json();
@@ -94,26 +111,53 @@ class McpHttpBridge {
           });
         }
 
-        // Convert HTTP response to MCP format
-        return {
-          content: [{
-            type: 'text',
-            text: JSON.stringify(response, null, 2)
-          }]
-        };
+        // The HTTP server returns the tool's result object as-is
+        return toMcpToolResult(response);
       } catch (error) {
+        // Invalid arguments come back exactly as the server reported them
+        if (error.body?.validationErrors) {
+          return toMcpToolResult(error.body);
+        }
+
         console.error(`Tool ${name} failed:`, error.message);
 
-        return {
-          content: [{
-            type: 'text',
-            text: `Error: ${error.message}`
-          }]
-        };
+        return toMcpToolResult({ success: false, error: error.message });
       }
     });
   }
 
+  setupResourceHandlers() {
+    // Resources are forwarded as-is; the HTTP server already uses MCP's shapes
+    this.server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      const cursor = request.params?.cursor;
+      const query = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+      return await this.fetchJson(`${this.httpServerUrl}/resources${query}`);
+    });
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return await this.fetchJson(`${this.httpServerUrl}/resources/templates`);
+    });
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const uri = encodeURIComponent(request.params.uri);
+      return await this.fetchJson(`${this.httpServerUrl}/resources/read?uri=${uri}`);
+    });
+  }
+
+  setupPromptHandlers() {
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return await this.fetchJson(`${this.httpServerUrl}/prompts`);
+    });
+
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+      return await this.fetchJson(`${this.httpServerUrl}/prompts/${encodeURIComponent(name)}`, {
+        method: 'POST',
+        body: JSON.stringify(args || {})
+      });
+    });
+  }
+
   convertParametersToJsonSchema(parameters) {
     const properties = {};
 
@@ -130,6 +174,15 @@ class McpHttpBridge {
       if (param.enum) {
         properties[key].enum = param.enum;
       }
+
+      // Element and value types of arrays and maps (sources, files, flags, env)
+      if (param.items) {
+        properties[key].items = param.items;
+      }
+
+      if (param.additionalProperties !== undefined) {
+        properties[key].additionalProperties = param.additionalProperties;
+      }
     }
 
     return properties;
@@ -193,6 +246,12 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     httpServerUrl = args[uIndex + 1];
   }
 
+  // Look for --api-key argument
+  const keyIndex = args.indexOf('--api-key');
+  if (keyIndex !== -1 && args[keyIndex + 1]) {
+    process.env.ONYX_MCP_API_KEY = args[keyIndex + 1];
+  }
+
   // Use environment variable if set
   if (process.env.HTTP_SERVER_URL) {
     httpServerUrl = process.env.HTTP_SERVER_URL;
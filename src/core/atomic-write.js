@@ -0,0 +1,21 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+
+// Write a file to a hidden temporary sibling and rename it over the target.
+// Readers, such as a server reloading crawl data, see the old or the new
+// content but never a partly written file.
+export async function writeFileAtomic(filePath, data) {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`
+  );
+
+  try {
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
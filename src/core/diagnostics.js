@@ -0,0 +1,119 @@
+import path from 'path';
+
+// =============================================================================
+// COMPILER DIAGNOSTICS
+// =============================================================================
+// Parses Onyx compiler errors and warnings out of raw build/run output. Both
+// the classic Onyx location prefix and GCC-style locations are recognized:
+//
+//   (/path/main.onyx:3,5) Unable to resolve symbol 'foo'.
+//   main.onyx:3:5: error: Unable to resolve symbol 'foo'.
+//
+// followed by an optional source excerpt (`  3 | foo();`) and caret line.
+
+const LOCATION_PATTERNS = [
+  // (file:line,column) [Error|Warning][:] message
+  /^\s*\(([^()]+?):(\d+),(\d+)\)\s*(?:(error|warning)\b:?\s*)?(.*)$/i,
+  // file:line:column: [error|warning]: message
+  /^\s*([^\s:][^:]*?):(\d+):(\d+):\s*(?:(error|warning)\b:?\s*)?(.*)$/i
+];
+
+const EXCERPT_PATTERN = /^\s*\d+\s*\|/;
+const CARET_PATTERN = /^[\s|]*\^[\^~\s]*$/;
+
+// Doc sections linked from each diagnostic
+const DOC_LINKS_PER_DIAGNOSTIC = 2;
+
+function matchLocation(line) {
+  for (const pattern of LOCATION_PATTERNS) {
+    const match = line.match(pattern);
+    if (match) {
+      return {
+        file: match[1].trim(),
+        line: parseInt(match[2], 10),
+        column: parseInt(match[3], 10),
+        severity: (match[4] || (/^warning\b/i.test(match[5]) ? 'warning' : 'error')).toLowerCase(),
+        message: match[5].replace(/^warning\b:?\s*/i, '').trim()
+      };
+    }
+  }
+  return null;
+}
+
+// Line `lineNumber` of the submitted source for `file`, matched by path or
+// base name
+function sourceLine(sources, file, lineNumber) {
+  const source = sources[file] ?? Object.entries(sources)
+    .find(([name]) => path.basename(name) === path.basename(file))?.[1];
+  if (source === undefined) return null;
+  return source.split('\n')[lineNumber - 1] ?? null;
+}
+
+// Parse diagnostics from compiler output. `sources` maps file names to their
+// contents and fills in the excerpt when the compiler did not print one.
+// Paths below `baseDir` are reported relative to it.
+export function parseDiagnostics(output, sources = {}, baseDir = null) {
+  const diagnostics = [];
+  let current = null;
+
+  for (const line of String(output || '').split('\n')) {
+    const location = matchLocation(line);
+    if (location) {
+      if (baseDir && path.isAbsolute(location.file)) {
+        const relative = path.relative(baseDir, location.file);
+        if (!relative.startsWith('..')) location.file = relative.split(path.sep).join('/');
+      }
+      current = { ...location, excerpt: null };
+      diagnostics.push(current);
+      continue;
+    }
+
+    if (!current) continue;
+
+    if (EXCERPT_PATTERN.test(line) || (current.excerpt && CARET_PATTERN.test(line))) {
+      current.excerpt = current.excerpt ? `${current.excerpt}\n${line}` : line;
+    } else if (line.trim() && !current.excerpt && !current.message) {
+      // Message printed on the line after the location
+      current.message = line.trim();
+    } else if (!line.trim()) {
+      current = null;
+    }
+  }
+
+  for (const diagnostic of diagnostics) {
+    if (!diagnostic.excerpt) {
+      const text = sourceLine(sources, diagnostic.file, diagnostic.line);
+      if (text !== null) {
+        diagnostic.excerpt = `${String(diagnostic.line).padStart(4)} | ${text}`;
+      }
+    }
+  }
+
+  return diagnostics;
+}
+
+// Search query for a diagnostic: the message without quoted identifiers,
+// which are specific to the user's code
+export function diagnosticQuery(message) {
+  return message.replace(/'[^']*'|"[^"]*"|`[^`]*`/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Add `docs` links to each diagnostic from the documentation index
+export async function attachDocLinks(diagnostics, searchEngine) {
+  const cache = new Map();
+
+  for (const diagnostic of diagnostics) {
+    const query = diagnosticQuery(diagnostic.message);
+    if (!cache.has(query)) {
+      const hits = query ? await searchEngine.searchDocSections(query, DOC_LINKS_PER_DIAGNOSTIC) : [];
+      cache.set(query, hits.map(({ document }) => ({
+        title: document.title,
+        section: document.section,
+        url: document.url
+      })));
+    }
+    diagnostic.docs = cache.get(query);
+  }
+
+  return diagnostics;
+}
@@ -0,0 +1,74 @@
+// =============================================================================
+// FUZZY SYMBOL MATCHING
+// =============================================================================
+// Edit-distance and trigram helpers used to recover from misspelled
+// identifiers such as "prntf" or "StringBuilder" (for "String_Builder").
+
+// Compare identifiers without case or underscores
+export function normalizeSymbol(name) {
+  return String(name).toLowerCase().replace(/_/g, '');
+}
+
+// Levenshtein edit distance between two strings
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function trigrams(text) {
+  const padded = `  ${text} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.substring(i, i + 3));
+  }
+  return grams;
+}
+
+// Dice coefficient over character trigrams (0..1)
+export function ngramSimilarity(a, b) {
+  const gramsA = trigrams(a);
+  const gramsB = trigrams(b);
+  let shared = 0;
+  for (const gram of gramsA) {
+    if (gramsB.has(gram)) shared++;
+  }
+  return (2 * shared) / (gramsA.size + gramsB.size);
+}
+
+// Similarity between a query and a symbol name (0..1). The better of the
+// normalized edit distance and trigram overlap wins, so both short typos and
+// reordered compound names score well.
+export function symbolSimilarity(query, name) {
+  const a = normalizeSymbol(query);
+  const b = normalizeSymbol(name);
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const editScore = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  return Math.max(editScore, ngramSimilarity(a, b));
+}
+
+// Rank candidate names by similarity to the query, best first
+export function findClosestSymbols(query, candidates, options = {}) {
+  const { limit = 5, threshold = 0.5 } = options;
+
+  return [...new Set(candidates)]
+    .map(name => ({ name, similarity: symbolSimilarity(query, name) }))
+    .filter(match => match.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map(match => ({ ...match, similarity: Math.round(match.similarity * 1000) / 1000 }));
+}
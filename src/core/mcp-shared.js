@@ -1,15 +1,34 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { spawn } from 'child_process';
 import { SearchEngine } from './search-engine.js';
+import { Sandbox, resolveProgramInput } from './sandbox.js';
+import { Workspace } from './workspace.js';
+import {
+  SESSION_FILENAME,
+  SNIPPET_KINDS,
+  SessionManager,
+  buildSessionSource,
+  getSessionConfig,
+  newOutput
+} from './sessions.js';
+import { attachDocLinks, parseDiagnostics } from './diagnostics.js';
+import { collectArtifacts, resolveFlags, resolveProject, writeProject } from './projects.js';
+import { buildPrompt } from './prompts.js';
+import { invalidArgumentsResult, validateArguments } from './validation.js';
+import {
+  docResourceUri,
+  githubResourceUri,
+  guessMimeType,
+  parseResourceUri
+} from './resources.js';
 
 // =============================================================================
 // CONFIGURABLE CONTEXT MESSAGE
 // =============================================================================
-// This message will be prepended to all MCP tool responses.
-// Modify this section to customize the context provided to the assistant.
-export const GLOBAL_CONTEXT_MESSAGE = `
-You are assisting with Onyx programming language queries. 
+// Background on Onyx given to the assistant once per session as the server
+// instructions, and at the top of every prompt. Modify this section to
+// customize it.
+export const ONYX_LANGUAGE_CONTEXT = `You are assisting with Onyx programming language queries. 
 Onyx is a modern systems programming language focused on simplicity and performance.
 
 Key Onyx characteristics:
@@ -27,14 +46,122 @@ When providing code examples or explanations, focus on:
 - Performance considerations where relevant
 - Correct code that compiles and runs without errors
 - Checking your code against Onyx documentation and examples
-- Not making up features, functions, or syntax that do not exist in Onyx
+- Not making up features, functions, or syntax that do not exist in Onyx`;
 
-This is a description of the specific MCP tool you are using:
-`;
+// Hits shown in the text summary of a search result
+const SUMMARY_HIT_LIMIT = 10;
+
+function summarizeHit(hit) {
+  const title = hit.qualifiedName
+    || (hit.title && (hit.section && hit.section !== hit.title ? `${hit.title} › ${hit.section}` : hit.title))
+    || hit.name
+    || (hit.file && `${hit.repository}/${hit.file}${hit.line ? `:${hit.line}` : ''}`)
+    || 'Result';
+  const link = hit.url || hit.pageUrl;
+  return [`${title}${link ? ` - ${link}` : ''}`, ...(hit.signature ? [`   ${hit.signature}`] : [])];
+}
+
+function summarizeRun(result) {
+  const status = result.timedOut ? 'Timed out'
+    : result.appended === false ? 'Not appended (the session is unchanged)'
+    : result.success ? 'Succeeded' : 'Failed';
+  const lines = [`${status}${result.exitCode !== undefined ? ` (exit code ${result.exitCode})` : ''}`];
+
+  // Session appends report only what the new snippet printed
+  const stdout = result.output !== undefined ? result.output : result.stdout;
+  if (stdout) lines.push('', 'stdout:', stdout.trimEnd());
+  if (result.stderr) lines.push('', 'stderr:', result.stderr.trimEnd());
+
+  if (result.diagnostics?.length > 0) {
+    lines.push('', 'Diagnostics:', ...result.diagnostics.map(d =>
+      `${d.file}:${d.line}:${d.column} ${d.severity}: ${d.message}`));
+  }
+  if (result.artifacts?.length > 0) {
+    lines.push('', `Artifacts: ${result.artifacts.map(artifact => artifact.path).join(', ')}`);
+  }
+  return lines;
+}
+
+// Short human-readable text for a tool result: the top hits of a search, or
+// the status and output of a build or run. The full result is the
+// structured content.
+export function summarizeToolResult(result) {
+  if (result.error) {
+    return `Error: ${result.error}`;
+  }
+
+  const hits = result.combinedResults || result.results || result.symbols || result.examples || result.repositories;
+  if (Array.isArray(hits)) {
+    const total = result.totalFound ?? result.totalResults ?? result.totalRepos ?? hits.length;
+    const lines = [`${total} result${total === 1 ? '' : 's'}${result.query ? ` for "${result.query}"` : ''}`];
+    if (result.message) lines.push(result.message);
+    hits.slice(0, SUMMARY_HIT_LIMIT).forEach((hit, index) => {
+      const [first, ...rest] = summarizeHit(hit);
+      lines.push(`${index + 1}. ${first}`, ...rest);
+    });
+    if (result.didYouMean?.length > 0) lines.push(`Did you mean: ${result.didYouMean.join(', ')}`);
+    return lines.join('\n');
+  }
+
+  if ('stdout' in result || 'exitCode' in result) {
+    return summarizeRun(result).join('\n');
+  }
+
+  // Anything else (sessions, reload summaries): its scalar fields
+  return Object.entries(result)
+    .filter(([, value]) => value === null || typeof value !== 'object')
+    .map(([key, value]) => typeof value === 'string' && value.includes('\n') ? `${key}:\n${value.trimEnd()}` : `${key}: ${value}`)
+    .join('\n');
+}
+
+// Render a tool result for MCP: the object as structured content, plus a
+// concise summary for clients that only read text content
+export function toMcpToolResult(result) {
+  return {
+    content: [{
+      type: 'text',
+      text: summarizeToolResult(result)
+    }],
+    structuredContent: result,
+    ...(result.error && { isError: true })
+  };
+}
 
 // =============================================================================
 // TOOL DEFINITIONS
 // =============================================================================
+// Project arguments shared by run_onyx_code and build_onyx_code
+const PROJECT_FILES_SCHEMA = {
+  type: 'object',
+  description: 'Multi-file project: relative paths mapped to file contents, e.g. {"main.onyx": "...", "src/util.onyx": "...", "onyx-pkg.kdl": "..."}',
+  additionalProperties: { type: 'string' }
+};
+const PROJECT_ENTRY_SCHEMA = {
+  type: 'string',
+  description: 'Entry point passed to the compiler (defaults to main.onyx, or the only .onyx file)'
+};
+const COMPILER_FLAGS_SCHEMA = {
+  type: 'array',
+  items: { type: 'string' },
+  description: 'Extra compiler flags, e.g. ["-r", "wasi", "-o", "app.wasm"]'
+};
+const RETURN_ARTIFACTS_SCHEMA = {
+  type: 'boolean',
+  description: 'Return the contents of produced files such as the .wasm (base64) for sandboxed projects',
+  default: false
+};
+
+// Program input shared by run_onyx_code and run_wasm
+const PROGRAM_INPUT_SCHEMAS = {
+  stdin: { type: 'string', description: 'Text written to the program\'s standard input' },
+  args: { type: 'array', items: { type: 'string' }, description: 'Arguments passed to the program' },
+  env: {
+    type: 'object',
+    description: 'Environment variables for the program (names must be allowed by the server)',
+    additionalProperties: { type: 'string' }
+  }
+};
+
 // Central definition of all MCP tools with their schemas
 export const TOOL_DEFINITIONS = [
   // Documentation search tools
@@ -51,6 +178,25 @@ export const TOOL_DEFINITIONS = [
     }
   },
 
+  {
+    name: 'lookup_onyx_symbol',
+    description: 'Look up the exact signature and documentation of an Onyx standard library symbol (e.g. "core.string.split")',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        symbol: { type: 'string', description: 'Symbol name, optionally package-qualified' },
+        kind: {
+          type: 'string',
+          enum: ['proc', 'struct', 'enum', 'union', 'interface', 'macro', 'overload', 'value'],
+          description: 'Only return symbols of this kind (optional)'
+        },
+        package: { type: 'string', description: 'Only return symbols from this package, e.g. "core.string" (optional)' },
+        limit: { type: 'number', description: 'Maximum number of symbols', default: 5 }
+      },
+      required: ['symbol']
+    }
+  },
+
   // GitHub repository tools
   {
     name: 'search_github_examples',
@@ -70,7 +216,7 @@ export const TOOL_DEFINITIONS = [
     inputSchema: {
       type: 'object',
       properties: {
-        functionName: { type: 'string', description: 'Function name to search for (optional)' },
+        functionName: { type: 'string', description: 'Function name to search for (optional, near-miss spellings are matched fuzzily)' },
         limit: { type: 'number', description: 'Maximum number of examples', default: 10 }
       }
     }
@@ -81,7 +227,7 @@ export const TOOL_DEFINITIONS = [
     inputSchema: {
       type: 'object',
       properties: {
-        structName: { type: 'string', description: 'Struct name to search for (optional)' },
+        structName: { type: 'string', description: 'Struct name to search for (optional, near-miss spellings are matched fuzzily)' },
         limit: { type: 'number', description: 'Maximum number of examples', default: 10 }
       }
     }
@@ -120,15 +266,19 @@ export const TOOL_DEFINITIONS = [
   // Code execution tools
   {
     name: 'run_onyx_code',
-    description: 'Execute Onyx code and return the output/errors for testing and debugging',
+    description: 'Execute Onyx code (a single file or a multi-file project) in a sandbox and return the output/errors for testing and debugging',
     inputSchema: {
       type: 'object',
       properties: {
-        code: { type: 'string', description: 'Onyx code to execute' },
-        filename: { type: 'string', description: 'Optional filename (defaults to temp.onyx)', default: 'temp.onyx' },
+        code: { type: 'string', description: 'Onyx code to execute (or use files)' },
+        filename: { type: 'string', description: 'Optional filename for code (defaults to temp.onyx)', default: 'temp.onyx' },
+        files: PROJECT_FILES_SCHEMA,
+        entry: PROJECT_ENTRY_SCHEMA,
+        flags: COMPILER_FLAGS_SCHEMA,
+        returnArtifacts: RETURN_ARTIFACTS_SCHEMA,
+        ...PROGRAM_INPUT_SCHEMAS,
         timeout: { type: 'number', description: 'Execution timeout in seconds', default: 10 }
-      },
-      required: ['code']
+      }
     }
   },
   {
@@ -137,8 +287,9 @@ export const TOOL_DEFINITIONS = [
     inputSchema: {
       type: 'object',
       properties: {
-        wasmPath: { type: 'string', description: 'Path to the WASM file to execute' },
-        directory: { type: 'string', description: 'Directory to run the command from (defaults to current working directory)', default: '.' },
+        wasmPath: { type: 'string', description: 'Path to the WASM file to execute, relative to the directory' },
+        directory: { type: 'string', description: 'Directory to run the command from, inside the workspace (defaults to the workspace root)', default: '.' },
+        ...PROGRAM_INPUT_SCHEMAS,
         timeout: { type: 'number', description: 'Execution timeout in seconds', default: 10 }
       },
       required: ['wasmPath']
@@ -146,16 +297,19 @@ export const TOOL_DEFINITIONS = [
   },
   {
     name: 'build_onyx_code',
-    description: 'Build Onyx code file using "onyx build" in a specified directory',
+    description: 'Build Onyx code using "onyx build": a single file in a specified directory, or a multi-file project in a sandbox',
     inputSchema: {
       type: 'object',
       properties: {
-        code: { type: 'string', description: 'Onyx code to build' },
+        code: { type: 'string', description: 'Onyx code to build (or use files)' },
         filename: { type: 'string', description: 'Filename for the Onyx file', default: 'main.onyx' },
-        directory: { type: 'string', description: 'Directory to build in (defaults to current working directory)', default: '.' },
+        directory: { type: 'string', description: 'Directory to build code in, inside the workspace (defaults to the workspace root). Not used with files.', default: '.' },
+        files: PROJECT_FILES_SCHEMA,
+        entry: PROJECT_ENTRY_SCHEMA,
+        flags: COMPILER_FLAGS_SCHEMA,
+        returnArtifacts: RETURN_ARTIFACTS_SCHEMA,
         timeout: { type: 'number', description: 'Build timeout in seconds', default: 30 }
-      },
-      required: ['code']
+      }
     }
   },
   {
@@ -164,13 +318,119 @@ export const TOOL_DEFINITIONS = [
     inputSchema: {
       type: 'object',
       properties: {
-        directory: { type: 'string', description: 'Directory containing the Onyx package (defaults to current working directory)', default: '.' },
+        directory: { type: 'string', description: 'Directory containing the Onyx package, inside the workspace (defaults to the workspace root)', default: '.' },
         timeout: { type: 'number', description: 'Build timeout in seconds', default: 60 }
       }
     }
   },
+
+  // REPL session tools
+  {
+    name: 'create_onyx_session',
+    description: 'Start a REPL-style Onyx session whose declarations and main body accumulate across calls',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        preamble: { type: 'string', description: 'Initial top-level declarations, e.g. "use core {*}" (optional)' }
+      }
+    }
+  },
+  {
+    name: 'append_to_session',
+    description: 'Add declarations or main-body statements to a session and rerun it, returning only the new output. Snippets that fail to compile or run are not kept.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string', description: 'Session ID from create_onyx_session' },
+        code: { type: 'string', description: 'Onyx code to add' },
+        kind: { type: 'string', enum: SNIPPET_KINDS, description: 'Top-level declaration or statements appended to main', default: 'main' },
+        timeout: { type: 'number', description: 'Execution timeout in seconds', default: 10 }
+      },
+      required: ['sessionId', 'code']
+    }
+  },
+  {
+    name: 'run_session',
+    description: 'Rerun the accumulated session program and return its full output and source',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string', description: 'Session ID from create_onyx_session' },
+        ...PROGRAM_INPUT_SCHEMAS,
+        timeout: { type: 'number', description: 'Execution timeout in seconds', default: 10 }
+      },
+      required: ['sessionId']
+    }
+  },
+  {
+    name: 'close_session',
+    description: 'Close a session and delete its workspace',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string', description: 'Session ID from create_onyx_session' }
+      },
+      required: ['sessionId']
+    }
+  },
 ];
 
+// Tools that compile or run code, as opposed to read-only search tools
+export const EXECUTION_TOOLS = new Set([
+  'run_onyx_code',
+  'run_wasm',
+  'build_onyx_code',
+  'onyx_pkg_build',
+  'create_onyx_session',
+  'append_to_session',
+  'run_session',
+  'close_session'
+]);
+
+// Names metrics may carry as the `tool` label; anything else a client sends
+// is counted as "unknown" so it cannot create new series
+const TOOL_NAMES = new Set(TOOL_DEFINITIONS.map(tool => tool.name));
+
+// Prompt catalog lives with its templates in prompts.js
+export { PROMPT_DEFINITIONS } from './prompts.js';
+
+// =============================================================================
+// RESOURCE TEMPLATES
+// =============================================================================
+// Full documentation pages and crawled source files, for attaching as context
+// after a search hit points at them
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'onyx-docs://{host}/{path}',
+    name: 'Onyx documentation page',
+    description: 'A full page of the official Onyx documentation, e.g. onyx-docs://docs.onyxlang.io/book/memory/allocators.html',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'onyx-github://{repo}/{path}',
+    name: 'Onyx source file',
+    description: 'A full file from a crawled GitHub repository (owner/name) or local directory (local:name)'
+  }
+];
+
+// Resources returned per resources/list page
+const RESOURCE_PAGE_SIZE = 100;
+
+// `onyx run` passes the arguments after `--` on to the program
+function programArguments(args) {
+  return args.length > 0 ? ['--', ...args] : [];
+}
+
+// Module a run compiles its entry point to before running it
+const RUN_MODULE = '.onyx-run.wasm';
+
+// Sessions run one program at a time
+function assertSessionIdle(session) {
+  if (session.running) {
+    throw new Error('Session is already running; wait for the previous call to finish');
+  }
+}
+
 // =============================================================================
 // SHARED MCP IMPLEMENTATION
 // =============================================================================
@@ -178,50 +438,34 @@ export class SharedMcpImplementation {
   constructor(dataDir) {
     this.dataDir = dataDir;
     this.searchEngine = new SearchEngine(this.dataDir);
-  }
+    this.sandbox = new Sandbox();
+    this.workspace = new Workspace();
+    this.sessions = new SessionManager(getSessionConfig(), session => this.sandbox.removeWorkDir(session.workDir));
 
-  // Helper method to format responses with context
-  formatResponse(content, toolSpecificMessage = '') {
-    const fullMessage = GLOBAL_CONTEXT_MESSAGE + 
-      (toolSpecificMessage ? '\n\n' + toolSpecificMessage : '') + 
-      '\n\n' + content;
-    
-    return {
-      content: [{
-        type: 'text',
-        text: fullMessage
-      }]
-    };
+    // Set by the HTTP server to record every tool call (see http/metrics.js)
+    this.metrics = null;
   }
 
   // Documentation methods
   async searchOnyxDocs(query, limit = 5) {
-    const results = await this.searchEngine.searchDocs(query, limit);
-    const toolMessage = `Searching official Onyx documentation for: "${query}"`;
-    return this.formatResponse(JSON.stringify(results, null, 2), toolMessage);
+    return await this.searchEngine.searchDocs(query, limit);
+  }
+
+  async lookupOnyxSymbol(symbol, kind, packageName, limit = 5) {
+    return await this.searchEngine.lookupSymbol(symbol, { kind, packageName, limit });
   }
 
   // GitHub methods
   async searchGitHubExamples(topic, limit = 5) {
-    const results = await this.searchEngine.searchGitHubExamples(topic, limit);
-    const toolMessage = `Searching GitHub repositories for Onyx code examples related to: "${topic}"`;
-    return this.formatResponse(JSON.stringify(results, null, 2), toolMessage);
+    return await this.searchEngine.searchGitHubExamples(topic, limit);
   }
 
   async getOnyxFunctions(functionName, limit = 10) {
-    const results = await this.searchEngine.getOnyxFunctionExamples(functionName, limit);
-    const toolMessage = functionName ? 
-      `Searching for Onyx function examples: "${functionName}"` :
-      'Searching for all available Onyx function examples';
-    return this.formatResponse(JSON.stringify(results, null, 2), toolMessage);
+    return await this.searchEngine.getOnyxFunctionExamples(functionName, limit);
   }
 
   async getOnyxStructs(structName, limit = 10) {
-    const results = await this.searchEngine.getOnyxStructExamples(structName, limit);
-    const toolMessage = structName ? 
-      `Searching for Onyx struct definitions: "${structName}"` :
-      'Searching for all available Onyx struct definitions';
-    return this.formatResponse(JSON.stringify(results, null, 2), toolMessage);
+    return await this.searchEngine.getOnyxStructExamples(structName, limit);
   }
 
   async listGitHubRepos(sortBy = 'stars') {
@@ -239,8 +483,7 @@ export class SharedMcpImplementation {
           break;
       }
 
-      const toolMessage = `Listing available GitHub repositories with Onyx code, sorted by ${sortBy}`;
-      return this.formatResponse(JSON.stringify({
+      return {
         totalRepos: repos.length,
         sortedBy: sortBy,
         repositories: repos.map(repo => ({
@@ -249,69 +492,63 @@ export class SharedMcpImplementation {
           stars: repo.stars,
           url: repo.url
         }))
-      }, null, 2), toolMessage);
+      };
     } catch (error) {
-      const toolMessage = 'Unable to list GitHub repositories - data may not be available yet';
-      return this.formatResponse(
-        `Repository list not available. Data may need to be populated first. Error: ${error.message}`,
-        toolMessage
-      );
+      return {
+        error: `Repository list not available. Data may need to be populated first. Error: ${error.message}`
+      };
     }
   }
 
   // Unified search
   async searchAllSources(query, sources = ['docs', 'github'], limit = 10) {
-    const results = await this.searchEngine.searchAll(query, sources, limit);
-    const toolMessage = `Searching across multiple sources (${sources.join(', ')}) for: "${query}"`;
-    return this.formatResponse(JSON.stringify(results, null, 2), toolMessage);
+    return await this.searchEngine.searchAll(query, sources, limit);
   }
 
-  // Code execution
-  async runWasm(wasmPath, directory = '.', timeout = 10) {
-    const toolMessage = `Executing WebAssembly file: ${wasmPath} using "onyx run" command`;
-    
+  // Code execution: the module is copied into a throwaway sandbox directory
+  // and run there, like submitted source code
+  async runWasm(wasmPath, directory = '.', timeout = 10, input = {}) {
+    let workDir = null;
+
     try {
-      // Resolve the target directory and WASM file path
-      const targetDir = path.resolve(directory);
-      let fullWasmPath;
-      
-      // If wasmPath is absolute, use it directly; otherwise, resolve relative to target directory
-      if (path.isAbsolute(wasmPath)) {
-        fullWasmPath = wasmPath;
-      } else {
-        fullWasmPath = path.resolve(targetDir, wasmPath);
-      }
-      
-      // Check if directory exists
-      try {
-        await fs.access(targetDir);
-      } catch (error) {
-        throw new Error(`Directory does not exist: ${targetDir}`);
-      }
-      
-      // Check if WASM file exists
-      try {
-        await fs.access(fullWasmPath);
-      } catch (error) {
-        throw new Error(`WASM file does not exist: ${fullWasmPath}`);
-      }
-      
+      const { stdin, args, env } = resolveProgramInput(input, this.sandbox.config);
+
+      // Resolve the target directory and WASM file path (relative paths are
+      // resolved against the target directory); both must stay in the workspace
+      const targetDir = await this.workspace.resolveDirectory(directory);
+      const fullWasmPath = await this.workspace.resolveFile(targetDir, wasmPath);
+
+      workDir = await this.sandbox.createWorkDir();
+      const wasmName = path.basename(fullWasmPath);
+      await fs.copyFile(fullWasmPath, path.join(workDir, wasmName));
+
       // Execute the WASM file using onyx run
-      const result = await this.executeOnyxCommand(['run', fullWasmPath], timeout, targetDir);
+      const commandArgs = ['run', wasmName, ...programArguments(args)];
+      const result = await this.sandbox.run('onyx', commandArgs, {
+        workDir,
+        timeoutSeconds: timeout,
+        stdin,
+        env
+      });
       
       // Format the response with execution results
       const response = {
         success: result.success,
         exitCode: result.exitCode,
+        ...(result.signal && { signal: result.signal }),
         stdout: result.stdout,
         stderr: result.stderr,
         executionTime: result.executionTime,
-        command: `onyx run ${fullWasmPath}`,
+        timedOut: result.timedOut,
+        outputTruncated: result.outputTruncated,
+        sandbox: result.sandbox,
+        filesystemIsolated: result.filesystemIsolated,
+        command: `onyx ${commandArgs.join(' ')}`,
         wasmPath: fullWasmPath,
         workingDirectory: targetDir
       };
       
-      return this.formatResponse(JSON.stringify(response, null, 2), toolMessage);
+      return response;
       
     } catch (error) {
       const errorResponse = {
@@ -322,78 +559,133 @@ export class SharedMcpImplementation {
         workingDirectory: directory
       };
       
-      return this.formatResponse(JSON.stringify(errorResponse, null, 2), toolMessage);
+      return errorResponse;
+    } finally {
+      if (workDir) {
+        await this.sandbox.removeWorkDir(workDir).catch(() => {});
+      }
     }
   }
   
-  async runOnyxCode(code, filename = 'temp.onyx', timeout = 10) {
-    const toolMessage = `Executing Onyx code to test and validate functionality`;
-    
+  async runOnyxCode(code, filename = 'temp.onyx', timeout = 10, options = {}) {
+    const { files, entry, flags, returnArtifacts = false, ...input } = options;
+
     try {
-      // Create a temporary directory for code execution
-      const tempDir = path.join(this.dataDir, 'temp');
-      await fs.mkdir(tempDir, { recursive: true });
-      
-      // Write the code to a temporary file
-      const filePath = path.join(tempDir, filename);
-      await fs.writeFile(filePath, code, 'utf8');
-      
-      // Execute the Onyx code
-      const result = await this.executeOnyxFile(filePath, timeout);
-      
-      // Clean up the temporary file
-      try {
-        await fs.unlink(filePath);
-      } catch (cleanupError) {
-        // Ignore cleanup errors
-      }
-      
-      // Format the response with execution results
-      const response = {
+      const project = resolveProject({ code, files, filename: filename || 'temp.onyx', entry });
+      return await this.runProject('run', project, {
+        flags: resolveFlags(flags),
+        timeout,
+        returnArtifacts,
+        ...resolveProgramInput(input, this.sandbox.config)
+      });
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        ...(typeof code === 'string' && { filename, codeLength: code.length })
+      };
+    }
+  }
+
+  // Write a project into a throwaway sandbox directory, build or run its
+  // entry point there, and remove the directory afterwards. `stdin`, `args`
+  // and `env` are given to the program when running it.
+  async runProject(command, project, options = {}) {
+    const { flags = [], timeout, returnArtifacts = false, stdin = null, args: programArgs = [], env = {} } = options;
+    const { files, entry } = project;
+    let workDir = null;
+
+    try {
+      workDir = await this.sandbox.createWorkDir();
+      await writeProject(workDir, files);
+
+      const { compile, result, command: commandLine } = command === 'run'
+        ? await this.compileAndRun(workDir, entry, { flags, timeout, stdin, args: programArgs, env })
+        : await this.compile(workDir, ['build', ...flags, entry], timeout);
+
+      return {
         success: result.success,
         exitCode: result.exitCode,
+        ...(result.signal && { signal: result.signal }),
         stdout: result.stdout,
         stderr: result.stderr,
         executionTime: result.executionTime,
-        filename: filename,
-        codeLength: code.length
+        timedOut: result.timedOut,
+        outputTruncated: result.outputTruncated,
+        sandbox: result.sandbox,
+        filesystemIsolated: result.filesystemIsolated,
+        diagnostics: await this.collectDiagnostics(compile, files, workDir),
+        artifacts: await collectArtifacts(workDir, files, { includeContent: returnArtifacts }),
+        command: commandLine,
+        entry,
+        files: Object.keys(files),
+        codeLength: Object.values(files).reduce((total, content) => total + content.length, 0)
       };
-      
-      return this.formatResponse(JSON.stringify(response, null, 2), toolMessage);
-      
-    } catch (error) {
-      const errorResponse = {
-        success: false,
-        error: error.message,
-        filename: filename,
-        codeLength: code.length
+    } finally {
+      if (workDir) {
+        await this.sandbox.removeWorkDir(workDir).catch(() => {});
+      }
+    }
+  }
+
+  // Run a compile-only `onyx` command in `workDir`
+  async compile(workDir, args, timeout) {
+    const compile = await this.sandbox.run('onyx', args, { workDir, timeoutSeconds: timeout });
+    return { compile, result: compile, command: `onyx ${args.join(' ')}` };
+  }
+
+  // Build `entry` in `workDir`, then run the module. Compiler output comes
+  // only from the build step, so nothing the program prints is taken for a
+  // diagnostic. Each step gets the timeout; the module is removed afterwards
+  // so it is not reported as something the program produced.
+  async compileAndRun(workDir, entry, { flags = [], timeout, stdin = null, args = [], env = {} } = {}) {
+    const { compile, command: buildCommand } = await this.compile(workDir, ['build', ...flags, entry, '-o', RUN_MODULE], timeout);
+    if (!compile.success) {
+      return { compile, result: compile, command: buildCommand };
+    }
+
+    const runArgs = ['run', RUN_MODULE, ...programArguments(args)];
+    try {
+      const run = await this.sandbox.run('onyx', runArgs, { workDir, timeoutSeconds: timeout, stdin, env });
+      return {
+        compile,
+        result: { ...run, executionTime: compile.executionTime + run.executionTime },
+        command: `${buildCommand} && onyx ${runArgs.join(' ')}`
       };
-      
-      return this.formatResponse(JSON.stringify(errorResponse, null, 2), toolMessage);
+    } finally {
+      await fs.rm(path.join(workDir, RUN_MODULE), { force: true });
     }
   }
   
   // Build Onyx code in specified directory
-  async buildOnyxCode(code, filename = 'main.onyx', directory = '.', timeout = 30) {
-    const toolMessage = `Building Onyx code using "onyx build" in directory: ${directory}`;
-    
-    try {
-      // Resolve the target directory
-      const targetDir = path.resolve(directory);
-      
-      // Check if directory exists
+  async buildOnyxCode(code, filename = 'main.onyx', directory = '.', timeout = 30, options = {}) {
+    const { files, entry, flags, returnArtifacts = false } = options;
+
+    // A multi-file project is built in its own sandbox directory instead
+    if (files) {
       try {
-        await fs.access(targetDir);
+        const project = resolveProject({ files, entry });
+        return await this.runProject('build', project, { flags: resolveFlags(flags), timeout, returnArtifacts });
       } catch (error) {
-        throw new Error(`Directory does not exist: ${targetDir}`);
+        return { success: false, error: error.message, command: 'onyx build' };
       }
+    }
+
+    try {
+      if (typeof code !== 'string') {
+        throw new Error('Either "code" or "files" is required');
+      }
+      const buildFlags = resolveFlags(flags);
+
+      // Resolve the target directory and output file inside the workspace
+      const targetDir = await this.workspace.resolveDirectory(directory);
+      const filePath = await this.workspace.resolveFile(targetDir, filename, { mustExist: false });
       
       // Write the code to the specified file in target directory
-      const filePath = path.join(targetDir, filename);
       await fs.writeFile(filePath, code, 'utf8');
       
       // Build the Onyx code in target directory
-      const result = await this.executeOnyxCommand(['build', filename], timeout, targetDir);
+      const result = await this.buildInWorkspace(['build', ...buildFlags, filename], targetDir, timeout);
       
       // Format the response with build results
       const response = {
@@ -402,13 +694,18 @@ export class SharedMcpImplementation {
         stdout: result.stdout,
         stderr: result.stderr,
         executionTime: result.executionTime,
-        command: `onyx build ${filename}`,
+        timedOut: result.timedOut,
+        outputTruncated: result.outputTruncated,
+        sandbox: result.sandbox,
+        filesystemIsolated: result.filesystemIsolated,
+        diagnostics: await this.collectDiagnostics(result, { [filePath]: code }),
+        command: ['onyx', 'build', ...buildFlags, filename].join(' '),
         filename: filename,
         codeLength: code.length,
         workingDirectory: targetDir
       };
       
-      return this.formatResponse(JSON.stringify(response, null, 2), toolMessage);
+      return response;
       
     } catch (error) {
       const errorResponse = {
@@ -416,31 +713,22 @@ export class SharedMcpImplementation {
         error: error.message,
         command: `onyx build ${filename}`,
         filename: filename,
-        codeLength: code.length,
+        ...(typeof code === 'string' && { codeLength: code.length }),
         workingDirectory: directory
       };
       
-      return this.formatResponse(JSON.stringify(errorResponse, null, 2), toolMessage);
+      return errorResponse;
     }
   }
   
   // Build Onyx package in specified directory
   async onyxPkgBuild(directory = '.', timeout = 60) {
-    const toolMessage = `Building Onyx package using "onyx pkg build" in directory: ${directory}`;
-    
     try {
-      // Resolve the target directory
-      const targetDir = path.resolve(directory);
-      
-      // Check if directory exists
-      try {
-        await fs.access(targetDir);
-      } catch (error) {
-        throw new Error(`Directory does not exist: ${targetDir}`);
-      }
+      // Resolve the target directory inside the workspace
+      const targetDir = await this.workspace.resolveDirectory(directory);
       
       // Build the Onyx package in target directory
-      const result = await this.executeOnyxCommand(['pkg', 'build'], timeout, targetDir);
+      const result = await this.buildInWorkspace(['pkg', 'build'], targetDir, timeout);
       
       // Format the response with build results
       const response = {
@@ -449,11 +737,15 @@ export class SharedMcpImplementation {
         stdout: result.stdout,
         stderr: result.stderr,
         executionTime: result.executionTime,
+        timedOut: result.timedOut,
+        outputTruncated: result.outputTruncated,
+        sandbox: result.sandbox,
+        filesystemIsolated: result.filesystemIsolated,
         command: 'onyx pkg build',
         workingDirectory: targetDir
       };
       
-      return this.formatResponse(JSON.stringify(response, null, 2), toolMessage);
+      return response;
       
     } catch (error) {
       const errorResponse = {
@@ -463,228 +755,356 @@ export class SharedMcpImplementation {
         workingDirectory: directory
       };
       
-      return this.formatResponse(JSON.stringify(errorResponse, null, 2), toolMessage);
+      return errorResponse;
     }
   }
   
-  // Helper method to execute Onyx files (for run_onyx_code)
-  async executeOnyxFile(filePath, timeoutSeconds = 10) {
-    return new Promise((resolve) => {
-      const startTime = Date.now();
-      let stdout = '';
-      let stderr = '';
-      let finished = false;
-      
-      // Try to run with 'onyx run' first
-      const child = spawn('onyx', ['run', filePath], {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        cwd: path.dirname(filePath)
-      });
-      
-      // Set up timeout
-      const timer = setTimeout(() => {
-        if (!finished) {
-          finished = true;
-          child.kill('SIGTERM');
-          resolve({
-            success: false,
-            exitCode: -1,
-            stdout: stdout,
-            stderr: stderr + '\n[TIMEOUT] Execution exceeded ' + timeoutSeconds + ' seconds',
-            executionTime: Date.now() - startTime
-          });
-        }
-      }, timeoutSeconds * 1000);
-      
-      // Collect stdout
-      child.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
-      
-      // Collect stderr
-      child.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
-      
-      // Handle process completion
-      child.on('close', (code) => {
-        if (!finished) {
-          finished = true;
-          clearTimeout(timer);
-          
-          resolve({
-            success: code === 0,
-            exitCode: code,
-            stdout: stdout,
-            stderr: stderr,
-            executionTime: Date.now() - startTime
-          });
+  // REPL sessions
+  async createOnyxSession(preamble = '') {
+    const workDir = await this.sandbox.createWorkDir();
+    let session;
+    try {
+      session = await this.sessions.create(workDir);
+    } catch (error) {
+      await this.sandbox.removeWorkDir(workDir).catch(() => {});
+      return { success: false, error: error.message };
+    }
+
+    if (preamble && preamble.trim()) {
+      session.declarations.push(preamble);
+    }
+
+    return {
+      success: true,
+      sessionId: session.id,
+      idleTimeoutSeconds: this.sessions.config.idleSeconds,
+      source: buildSessionSource(session)
+    };
+  }
+
+  async appendToSession(sessionId, code, kind = 'main', timeout = 10) {
+    try {
+      if (!SNIPPET_KINDS.includes(kind)) {
+        throw new Error(`Unknown snippet kind "${kind}". Use one of: ${SNIPPET_KINDS.join(', ')}`);
+      }
+      if (typeof code !== 'string' || !code.trim()) {
+        throw new Error('"code" must be non-empty Onyx code');
+      }
+
+      // Checked before the snippet is added, so a rejected call leaves the
+      // session untouched
+      const session = await this.sessions.get(sessionId);
+      assertSessionIdle(session);
+      const snippets = kind === 'declaration' ? session.declarations : session.mainBody;
+      snippets.push(code);
+
+      let appended = false;
+      try {
+        const result = await this.runSessionProgram(session, timeout);
+        if (!result.success) {
+          return { ...result, appended: false, sessionId };
         }
+
+        appended = true;
+        const { output, outputReset } = newOutput(session.lastStdout, result.stdout);
+        session.lastStdout = result.stdout;
+        const { stdout, ...rest } = result;
+        return { ...rest, appended: true, sessionId, output, outputReset };
+      } finally {
+        // Keep the session at its last working state
+        if (!appended) snippets.splice(snippets.lastIndexOf(code), 1);
+      }
+    } catch (error) {
+      return { success: false, error: error.message, sessionId };
+    }
+  }
+
+  async runSession(sessionId, timeout = 10, input = {}) {
+    try {
+      const session = await this.sessions.get(sessionId);
+      const result = await this.runSessionProgram(session, timeout, resolveProgramInput(input, this.sandbox.config));
+      return { ...result, sessionId, source: buildSessionSource(session) };
+    } catch (error) {
+      return { success: false, error: error.message, sessionId };
+    }
+  }
+
+  async closeSession(sessionId) {
+    return { success: true, sessionId, closed: await this.sessions.close(sessionId) };
+  }
+
+  // Write out the session program and run it in the session's directory.
+  // One run at a time per session.
+  async runSessionProgram(session, timeout, input = {}) {
+    assertSessionIdle(session);
+    session.running = true;
+    try {
+      const source = buildSessionSource(session);
+      await fs.writeFile(path.join(session.workDir, SESSION_FILENAME), source, 'utf8');
+
+      const { compile, result } = await this.compileAndRun(session.workDir, SESSION_FILENAME, {
+        timeout,
+        stdin: input.stdin ?? null,
+        args: input.args || [],
+        env: input.env || {}
       });
-      
-      // Handle process errors (e.g., 'onyx' command not found)
-      child.on('error', (error) => {
-        if (!finished) {
-          finished = true;
-          clearTimeout(timer);
-          
-          resolve({
-            success: false,
-            exitCode: -1,
-            stdout: stdout,
-            stderr: `Error executing Onyx: ${error.message}\n\nNote: Make sure 'onyx' is installed and available in PATH.\nInstall from: https://onyxlang.io/install`,
-            executionTime: Date.now() - startTime
-          });
-        }
+
+      return {
+        success: result.success,
+        exitCode: result.exitCode,
+        ...(result.signal && { signal: result.signal }),
+        stdout: result.stdout,
+        stderr: result.stderr,
+        executionTime: result.executionTime,
+        timedOut: result.timedOut,
+        outputTruncated: result.outputTruncated,
+        sandbox: result.sandbox,
+        filesystemIsolated: result.filesystemIsolated,
+        diagnostics: await this.collectDiagnostics(compile, { [SESSION_FILENAME]: source }, session.workDir)
+      };
+    } finally {
+      session.running = false;
+    }
+  }
+
+  // Structured compiler errors and warnings from a build step, each linked
+  // to the doc sections that best match its message. Only compiler output is
+  // passed in, never a program's, so both streams are parsed.
+  async collectDiagnostics(result, sources = {}, baseDir = null) {
+    const diagnostics = [
+      ...parseDiagnostics(result.stderr, sources, baseDir),
+      ...parseDiagnostics(result.stdout, sources, baseDir)
+    ];
+    return await attachDocLinks(diagnostics, this.searchEngine);
+  }
+
+  // Run an Onyx build of a workspace directory in the sandbox. The directory
+  // is bound writable and the build runs there, so compile-time file access
+  // (#load, #file_contents) is confined like a run.
+  async buildInWorkspace(args, targetDir, timeout) {
+    const workDir = await this.sandbox.createWorkDir();
+    try {
+      return await this.sandbox.run('onyx', args, {
+        workDir,
+        cwd: targetDir,
+        bind: [targetDir],
+        timeoutSeconds: timeout
       });
-    });
+    } finally {
+      await this.sandbox.removeWorkDir(workDir).catch(() => {});
+    }
   }
-  
-  // Helper method to execute Onyx commands (for build operations)
-  async executeOnyxCommand(args, timeoutSeconds = 30, workingDirectory = null) {
-    return new Promise((resolve) => {
-      const startTime = Date.now();
-      let stdout = '';
-      let stderr = '';
-      let finished = false;
-      
-      // Use specified directory or current working directory
-      const cwd = workingDirectory || process.cwd();
+
+  // Crawl data
+  async reloadData() {
+    return await this.searchEngine.reload();
+  }
+
+  // Reload crawl data when a crawl rewrites it, unless
+  // ONYX_MCP_WATCH_DATA=false. `onReload(summary, error)` reports each reload.
+  watchData(onReload) {
+    if (process.env.ONYX_MCP_WATCH_DATA === 'false') return false;
+    this.searchEngine.watch(onReload);
+    return true;
+  }
+
+  // Resources
+  async listResources(cursor = null) {
+    const docs = (await this.searchEngine.loadData('docs')) || [];
+    const files = (await this.searchEngine.loadData('githubFiles')) || [];
+
+    const resources = [
+      ...docs.map(doc => ({
+        uri: docResourceUri(doc.url),
+        name: doc.title,
+        description: `Onyx documentation: ${doc.url}`,
+        mimeType: 'text/markdown'
+      })),
+      ...files.map(file => ({
+        uri: githubResourceUri(file.repository, file.path),
+        name: `${file.repository}/${file.path}`,
+        description: `${file.fileType || 'file'} from ${file.repository}`,
+        mimeType: guessMimeType(file.path)
+      }))
+    ];
+
+    // The cursor is the offset of the next page
+    const offset = Math.max(0, parseInt(cursor, 10) || 0);
+    const next = offset + RESOURCE_PAGE_SIZE;
+
+    return {
+      resources: resources.slice(offset, next),
+      ...(next < resources.length && { nextCursor: String(next) })
+    };
+  }
+
+  async readResource(uri) {
+    const location = parseResourceUri(uri);
+
+    if (location?.type === 'docs') {
+      const doc = await this.searchEngine.getDocPage(location.path);
+      if (doc) {
+        return { contents: [{ uri, mimeType: 'text/markdown', text: this.renderDocPage(doc) }] };
+      }
+    }
+
+    if (location?.type === 'github') {
+      const file = await this.searchEngine.getGitHubFile(location.repository, location.path);
+      if (file) {
+        return { contents: [{ uri, mimeType: guessMimeType(file.path), text: file.code || file.content || '' }] };
+      }
+    }
+
+    throw new Error(`Resource not found: ${uri}`);
+  }
+
+  // Render a crawled documentation page as Markdown, section by section
+  renderDocPage(doc) {
+    const lines = [`# ${doc.title}`, '', `Source: ${doc.url}`];
+    const sections = doc.sections && doc.sections.length > 0
+      ? doc.sections
+      : [{ heading: null, content: doc.content, codeExamples: doc.codeExamples || [] }];
+
+    for (const section of sections) {
+      lines.push('');
+      if (section.heading && section.heading !== doc.title) {
+        lines.push(`${'#'.repeat(Math.min(Math.max(section.level || 2, 2), 6))} ${section.heading}`, '');
+      }
+      if (section.content) {
+        lines.push(section.content);
+      }
+      for (const example of section.codeExamples || []) {
+        lines.push('', '```' + (example.language || ''), example.code, '```');
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  // Prompts
+  async getPrompt(name, args = {}) {
+    return await buildPrompt(name, args, this.searchEngine, ONYX_LANGUAGE_CONTEXT);
+  }
+
+  // Tool execution dispatcher. Arguments are validated against the tool's
+  // input schema first, with defaults applied (`options.coerce` converts
+  // query-string values). Returns the tool's result object, or an invalid
+  // arguments result; other errors (including unknown tools) are thrown.
+  async callTool(name, rawArgs = {}, options = {}) {
+    const tool = TOOL_DEFINITIONS.find(definition => definition.name === name);
+    if (!tool) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+
+    const { value: args, errors } = validateArguments(tool.inputSchema, rawArgs, options);
+    if (errors.length > 0) {
+      return invalidArgumentsResult(name, errors);
+    }
+
+    switch (name) {
+      // Documentation tools
+      case 'search_onyx_docs':
+        return await this.searchOnyxDocs(args.query, args.limit);
+
+      case 'lookup_onyx_symbol':
+        return await this.lookupOnyxSymbol(args.symbol, args.kind, args.package, args.limit);
+
+      // GitHub tools
+      case 'search_github_examples':
+        return await this.searchGitHubExamples(args.topic, args.limit);
       
-      // Execute onyx command in specified directory
-      const child = spawn('onyx', args, {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        cwd: cwd
-      });
+      case 'get_onyx_functions':
+        return await this.getOnyxFunctions(args.functionName, args.limit);
       
-      // Set up timeout
-      const timer = setTimeout(() => {
-        if (!finished) {
-          finished = true;
-          child.kill('SIGTERM');
-          resolve({
-            success: false,
-            exitCode: -1,
-            stdout: stdout,
-            stderr: stderr + '\n[TIMEOUT] Build/command exceeded ' + timeoutSeconds + ' seconds',
-            executionTime: Date.now() - startTime
-          });
-        }
-      }, timeoutSeconds * 1000);
+      case 'get_onyx_structs':
+        return await this.getOnyxStructs(args.structName, args.limit);
       
-      // Collect stdout
-      child.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
+      case 'list_github_repos':
+        return await this.listGitHubRepos(args.sortBy);
+
+      // Unified search
+      case 'search_all_sources':
+        return await this.searchAllSources(args.query, args.sources, args.limit);
+
+      // Code execution
+      case 'run_onyx_code':
+        return await this.runOnyxCode(args.code, args.filename, args.timeout, {
+          files: args.files,
+          entry: args.entry,
+          flags: args.flags,
+          returnArtifacts: args.returnArtifacts,
+          stdin: args.stdin,
+          args: args.args,
+          env: args.env
+        });
       
-      // Collect stderr
-      child.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
+      case 'run_wasm':
+        return await this.runWasm(args.wasmPath, args.directory, args.timeout, {
+          stdin: args.stdin,
+          args: args.args,
+          env: args.env
+        });
       
-      // Handle process completion
-      child.on('close', (code) => {
-        if (!finished) {
-          finished = true;
-          clearTimeout(timer);
-          
-          resolve({
-            success: code === 0,
-            exitCode: code,
-            stdout: stdout,
-            stderr: stderr,
-            executionTime: Date.now() - startTime
-          });
-        }
-      });
+      case 'build_onyx_code':
+        return await this.buildOnyxCode(args.code, args.filename, args.directory, args.timeout, {
+          files: args.files,
+          entry: args.entry,
+          flags: args.flags,
+          returnArtifacts: args.returnArtifacts
+        });
       
-      // Handle process errors (e.g., 'onyx' command not found)
-      child.on('error', (error) => {
-        if (!finished) {
-          finished = true;
-          clearTimeout(timer);
-          
-          resolve({
-            success: false,
-            exitCode: -1,
-            stdout: stdout,
-            stderr: `Error executing Onyx: ${error.message}\n\nNote: Make sure 'onyx' is installed and available in PATH.\nInstall from: https://onyxlang.io/install`,
-            executionTime: Date.now() - startTime
-          });
-        }
-      });
-    });
+      case 'onyx_pkg_build':
+        return await this.onyxPkgBuild(args.directory, args.timeout);
+
+      // REPL sessions
+      case 'create_onyx_session':
+        return await this.createOnyxSession(args.preamble);
+
+      case 'append_to_session':
+        return await this.appendToSession(args.sessionId, args.code, args.kind, args.timeout);
+
+      case 'run_session':
+        return await this.runSession(args.sessionId, args.timeout, {
+          stdin: args.stdin,
+          args: args.args,
+          env: args.env
+        });
+
+      case 'close_session':
+        return await this.closeSession(args.sessionId);
+
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
   }
 
-  // Tool execution dispatcher
+  // For MCP responses: structured content plus its text rendering
   async executeTool(name, args) {
-    try {
-      switch (name) {
-        // Documentation tools
-        case 'search_onyx_docs':
-          return await this.searchOnyxDocs(args.query, args.limit);
-
-        // GitHub tools
-        case 'search_github_examples':
-          return await this.searchGitHubExamples(args.topic, args.limit);
-        
-        case 'get_onyx_functions':
-          return await this.getOnyxFunctions(args.functionName, args.limit);
-        
-        case 'get_onyx_structs':
-          return await this.getOnyxStructs(args.structName, args.limit);
-        
-        case 'list_github_repos':
-          return await this.listGitHubRepos(args.sortBy);
-
-        // Unified search
-        case 'search_all_sources':
-          return await this.searchAllSources(args.query, args.sources, args.limit);
-
-        // Code execution
-        case 'run_onyx_code':
-          return await this.runOnyxCode(args.code, args.filename, args.timeout);
-        
-        case 'run_wasm':
-          return await this.runWasm(args.wasmPath, args.directory, args.timeout);
-        
-        case 'build_onyx_code':
-          return await this.buildOnyxCode(args.code, args.filename, args.directory, args.timeout);
-        
-        case 'onyx_pkg_build':
-          return await this.onyxPkgBuild(args.directory, args.timeout);
-
-        default:
-          throw new Error(`Unknown tool: ${name}`);
-      }
-    } catch (error) {
-      return this.formatResponse(
-        `Error: ${error.message}`,
-        'An error occurred while processing your request'
-      );
-    }
+    return toMcpToolResult(await this.observeToolCall(name, 'mcp', () => this.callTool(name, args)));
   }
 
-  // For HTTP responses (without MCP formatting)
-  async executeToolForHttp(name, args) {
+  // For HTTP responses: the result object itself
+  async executeToolForHttp(name, args, options = {}) {
+    return await this.observeToolCall(name, 'http', () => this.callTool(name, args, options));
+  }
+
+  // Run a tool call, turning thrown errors into error results, and record
+  // its outcome and latency
+  async observeToolCall(name, transport, call) {
+    const start = process.hrtime.bigint();
+    let result;
     try {
-      const mcpResult = await this.executeTool(name, args);
-      // Extract the JSON content from the MCP formatted response
-      const content = mcpResult.content[0].text;
-      const lines = content.split('\n\n');
-      // The last part should be the JSON data
-      const jsonPart = lines[lines.length - 1];
-      try {
-        return JSON.parse(jsonPart);
-      } catch {
-        // If parsing fails, return the raw content
-        return { result: jsonPart };
-      }
+      result = await call();
     } catch (error) {
-      return {
-        success: false,
-        error: error.message
-      };
+      result = { success: false, error: error.message };
     }
+
+    this.metrics?.recordToolCall({
+      tool: TOOL_NAMES.has(name) ? name : 'unknown',
+      transport,
+      durationSeconds: Number(process.hrtime.bigint() - start) / 1e9,
+      result
+    });
+    return result;
   }
 }
@@ -0,0 +1,331 @@
+// =============================================================================
+// ONYX DECLARATION PARSER
+// =============================================================================
+// A tolerant tokenizer and parser for Onyx top-level declarations. It does not
+// understand expressions; it only needs to find `name :: ...` declarations,
+// classify them, and work out where each one ends. Unbalanced or unfamiliar
+// code is skipped rather than rejected.
+
+const PUNCTUATION = ['---', '::', '->', '=>'];
+
+// Split source into tokens. Comments are returned separately so the parser can
+// attach them to the declarations that follow.
+export function tokenize(source) {
+  const tokens = [];
+  const comments = [];
+  let i = 0;
+  let line = 1;
+
+  const push = (list, type, start, startLine) => {
+    list.push({ type, value: source.slice(start, i), start, end: i, line: startLine, endLine: line });
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+    const start = i;
+    const startLine = line;
+
+    if (ch === '\n') {
+      line++;
+      i++;
+      continue;
+    }
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Line comment
+    if (source.startsWith('//', i)) {
+      while (i < source.length && source[i] !== '\n') i++;
+      push(comments, 'comment', start, startLine);
+      continue;
+    }
+
+    // Block comment, which may nest
+    if (source.startsWith('/*', i)) {
+      let depth = 0;
+      while (i < source.length) {
+        if (source.startsWith('/*', i)) {
+          depth++;
+          i += 2;
+        } else if (source.startsWith('*/', i)) {
+          depth--;
+          i += 2;
+          if (depth === 0) break;
+        } else {
+          if (source[i] === '\n') line++;
+          i++;
+        }
+      }
+      push(comments, 'comment', start, startLine);
+      continue;
+    }
+
+    // Multi-line string
+    if (source.startsWith('"""', i)) {
+      i += 3;
+      while (i < source.length && !source.startsWith('"""', i)) {
+        if (source[i] === '\n') line++;
+        i++;
+      }
+      i = Math.min(i + 3, source.length);
+      push(tokens, 'string', start, startLine);
+      continue;
+    }
+
+    // String or character literal; unterminated literals stop at end of line
+    if (ch === '"' || ch === '\'') {
+      i++;
+      while (i < source.length && source[i] !== ch && source[i] !== '\n') {
+        i += source[i] === '\\' ? 2 : 1;
+      }
+      if (source[i] === ch) i++;
+      push(tokens, 'string', start, startLine);
+      continue;
+    }
+
+    // Compiler directive such as #foreign, #match or #local
+    if (ch === '#' && /[A-Za-z_]/.test(source[i + 1] || '')) {
+      i++;
+      while (i < source.length && /\w/.test(source[i])) i++;
+      push(tokens, 'directive', start, startLine);
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(ch)) {
+      while (i < source.length && /\w/.test(source[i])) i++;
+      push(tokens, 'ident', start, startLine);
+      continue;
+    }
+
+    if (/[0-9]/.test(ch)) {
+      while (i < source.length && /[\w]/.test(source[i])) i++;
+      if (source[i] === '.' && /[0-9]/.test(source[i + 1] || '')) {
+        i++;
+        while (i < source.length && /\w/.test(source[i])) i++;
+      }
+      push(tokens, 'number', start, startLine);
+      continue;
+    }
+
+    const punct = PUNCTUATION.find(p => source.startsWith(p, i));
+    i += punct ? punct.length : 1;
+    push(tokens, 'punct', start, startLine);
+  }
+
+  return { tokens, comments };
+}
+
+const OPENERS = { '(': ')', '[': ']', '{': '}' };
+
+// Index of the token closing the bracket opened at `openIndex`, or the last
+// token when the source is unbalanced
+function findClosing(tokens, openIndex) {
+  const stack = [];
+  for (let i = openIndex; i < tokens.length; i++) {
+    const { type, value } = tokens[i];
+    if (type !== 'punct') continue;
+    if (OPENERS[value]) {
+      stack.push(OPENERS[value]);
+    } else if (value === stack[stack.length - 1]) {
+      stack.pop();
+      if (stack.length === 0) return i;
+    }
+  }
+  return tokens.length - 1;
+}
+
+// If a declaration name (`name` or dotted `Type.name`) starts at token `i`,
+// return the index of its `::`, otherwise -1
+function declarationOperator(tokens, i) {
+  let j = i;
+  while (tokens[j]?.type === 'ident') {
+    const next = tokens[j + 1];
+    if (next?.type !== 'punct') return -1;
+    if (next.value === '::') return j + 1;
+    if (next.value !== '.') return -1;
+    j += 2;
+  }
+  return -1;
+}
+
+function isDeclarationStart(tokens, i) {
+  return declarationOperator(tokens, i) !== -1;
+}
+
+// Work out the declaration kind from the tokens following `::`
+function classify(tokens, i) {
+  const token = tokens[i];
+  if (!token) return 'value';
+
+  if (token.type === 'ident') {
+    if (['struct', 'enum', 'union', 'interface', 'macro'].includes(token.value)) return token.value;
+    if (token.value === 'match') return 'overload';
+  }
+
+  if (token.type === 'directive') {
+    if (token.value === '#match') return 'overload';
+    if (['#type', '#distinct'].includes(token.value)) return 'type';
+    if (['#foreign', '#intrinsic'].includes(token.value)) return 'proc';
+  }
+
+  if (token.type === 'punct' && token.value === '(') {
+    const after = tokens[findClosing(tokens, i) + 1];
+    if (!after) return 'value';
+    if (after.type === 'punct' && ['->', '=>', '{', '---'].includes(after.value)) return 'proc';
+    if (after.type === 'directive' || (after.type === 'ident' && after.value === 'where')) return 'proc';
+  }
+
+  return 'value';
+}
+
+// Find where a declaration whose value starts at token `i` ends. Returns the
+// index of its last token and the index of its body `{` (if any).
+function findDeclarationEnd(tokens, i, limit) {
+  let bodyIndex = -1;
+  let depth = 0;
+  let quickProc = false;
+
+  for (let j = i; j < limit; j++) {
+    const { type, value } = tokens[j];
+
+    if (type === 'punct') {
+      if (value === '(' || value === '[') depth++;
+      else if (value === ')' || value === ']') depth--;
+      else if (depth === 0 && value === '=>') quickProc = true;
+      else if (value === '{' && (quickProc || tokens[j - 1]?.value === '.')) {
+        // Struct literals (`Point.{ 0, 0 }`) and quick-proc bodies are part of
+        // the expression, not a declaration body
+        j = Math.min(findClosing(tokens, j), limit - 1);
+        continue;
+      } else if (depth === 0 && value === '{') {
+        bodyIndex = j;
+        const close = Math.min(findClosing(tokens, j), limit - 1);
+        const next = tokens[close + 1];
+        return { endIndex: next && next.value === ';' ? close + 1 : close, bodyIndex };
+      } else if (depth === 0 && (value === ';' || value === '---')) {
+        return { endIndex: j, bodyIndex };
+      }
+    }
+
+    // Missing semicolon: stop before the next declaration on a later line
+    if (j > i && depth === 0 && tokens[j].line > tokens[j - 1].endLine && isDeclarationStart(tokens, j)) {
+      return { endIndex: j - 1, bodyIndex };
+    }
+  }
+
+  return { endIndex: limit - 1, bodyIndex };
+}
+
+// Comments directly above a declaration (no blank line in between)
+function precedingComments(comments, line) {
+  const attached = [];
+  let expectedLine = line - 1;
+
+  for (let c = comments.length - 1; c >= 0; c--) {
+    const comment = comments[c];
+    if (comment.line >= line) continue;
+    if (comment.endLine !== expectedLine) break;
+    attached.unshift(comment.value);
+    expectedLine = comment.line - 1;
+  }
+
+  if (attached.length === 0) return null;
+
+  return attached
+    .map(text => text.replace(/^\/\*+|\*+\/$/g, '').replace(/^\/\/\/?/, ''))
+    .join('\n')
+    .split('\n')
+    .map(text => text.replace(/^\s*\*?\s?/, '').trim())
+    .join('\n')
+    .trim() || null;
+}
+
+// Parse every declaration in Onyx source. Declarations inside #foreign and
+// #inject blocks are included and tagged with where they came from.
+export function parseOnyxDeclarations(source) {
+  const { tokens, comments } = tokenize(source);
+  const declarations = [];
+
+  const parseRange = (from, to, context) => {
+    let modifiers = [];
+    let i = from;
+
+    while (i < to) {
+      const token = tokens[i];
+
+      // #foreign "module" { ... } and #inject Target { ... }
+      if (token.type === 'directive' && (token.value === '#foreign' || token.value === '#inject')) {
+        let open = i + 1;
+        while (open < to && tokens[open].value !== '{' && tokens[open].value !== ';') open++;
+        if (open < to && tokens[open].value === '{') {
+          const close = Math.min(findClosing(tokens, open), to);
+          const label = tokens.slice(i + 1, open).map(t => t.value).join('');
+          parseRange(open + 1, close, token.value === '#foreign'
+            ? { ...context, foreign: label.replace(/^"|"$/g, '') }
+            : { ...context, injectedInto: label });
+          i = close + 1;
+          modifiers = [];
+          continue;
+        }
+      }
+
+      if (token.type === 'directive' && ['#local', '#package', '#overload', '#doc'].includes(token.value)) {
+        modifiers.push(token);
+        if (token.value === '#doc' && tokens[i + 1]?.type === 'string') {
+          modifiers.push(tokens[i + 1]);
+          i++;
+        }
+        i++;
+        continue;
+      }
+
+      const operatorIndex = declarationOperator(tokens, i);
+      if (operatorIndex !== -1) {
+        const valueIndex = operatorIndex + 1;
+        const kind = classify(tokens, valueIndex);
+        const { endIndex, bodyIndex } = findDeclarationEnd(tokens, valueIndex, to);
+        const endToken = tokens[endIndex];
+        const headerEnd = bodyIndex >= 0 ? tokens[bodyIndex].start : endToken.end;
+
+        const docDirective = modifiers.find(m => m.type === 'string');
+        const params = tokens.slice(valueIndex, bodyIndex >= 0 ? bodyIndex : endIndex + 1);
+
+        declarations.push({
+          name: source.slice(token.start, tokens[operatorIndex - 1].end),
+          kind,
+          signature: source.slice(token.start, headerEnd).replace(/\s*(---|;)$/, '').trim(),
+          definition: source.slice(token.start, endToken.end).trim(),
+          line: token.line,
+          endLine: endToken.endLine,
+          docComment: docDirective
+            ? docDirective.value.replace(/^"+|"+$/g, '').trim()
+            : precedingComments(comments, (modifiers[0] || token).line),
+          polymorphic: params.some(t => t.value === '$'),
+          foreign: Boolean(context.foreign) || (endToken.value === '---'),
+          ...(context.foreign && { foreignModule: context.foreign }),
+          ...(context.injectedInto && { injectedInto: context.injectedInto }),
+          ...(modifiers.some(m => m.value === '#local') && { visibility: 'local' }),
+          ...(modifiers.some(m => m.value === '#package') && { visibility: 'package' })
+        });
+
+        i = endIndex + 1;
+        modifiers = [];
+        continue;
+      }
+
+      // Skip over any other block so nested declarations are not picked up
+      if (token.type === 'punct' && token.value === '{') {
+        i = findClosing(tokens, i) + 1;
+      } else {
+        i++;
+      }
+      if (token.value === ';' || token.type === 'punct') modifiers = [];
+    }
+  };
+
+  parseRange(0, tokens.length, {});
+  return declarations;
+}
@@ -0,0 +1,157 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// =============================================================================
+// MULTI-FILE PROJECTS
+// =============================================================================
+// run_onyx_code and build_onyx_code accept either a single `code` string or a
+// `files` map of relative paths to contents (sources loaded with `#load`, an
+// onyx-pkg.kdl, data files). The files are written into the run's own
+// directory; whatever the compiler or program leaves behind can be returned
+// as artifacts.
+
+// Limits on submitted projects and on the artifacts sent back
+const MAX_PROJECT_FILES = 200;
+const MAX_PROJECT_BYTES = 5 * 1024 * 1024;
+const MAX_ARTIFACT_BYTES = 5 * 1024 * 1024;
+
+// A relative path that stays inside the project directory
+function normalizeProjectPath(filePath) {
+  if (typeof filePath !== 'string' || !filePath.trim()) {
+    throw new Error('Project file paths must be non-empty strings');
+  }
+
+  const normalized = path.posix.normalize(filePath.replace(/\\/g, '/'));
+  if (path.posix.isAbsolute(normalized) || normalized === '..' || normalized.startsWith('../') || normalized === '.') {
+    throw new Error(`Project file path "${filePath}" must be relative and stay inside the project`);
+  }
+  return normalized;
+}
+
+// Normalize the tool arguments into `{files, entry}`. A single `code` string
+// becomes a one-file project named `filename`.
+export function resolveProject({ code, files, filename, entry } = {}) {
+  if (files !== undefined && files !== null) {
+    if (typeof files !== 'object' || Array.isArray(files)) {
+      throw new Error('"files" must map relative paths to file contents');
+    }
+
+    const entries = Object.entries(files);
+    if (entries.length === 0) {
+      throw new Error('"files" must contain at least one file');
+    }
+    if (entries.length > MAX_PROJECT_FILES) {
+      throw new Error(`Projects are limited to ${MAX_PROJECT_FILES} files`);
+    }
+
+    const normalized = {};
+    let totalBytes = 0;
+    for (const [filePath, content] of entries) {
+      if (typeof content !== 'string') {
+        throw new Error(`Contents of "${filePath}" must be a string`);
+      }
+      totalBytes += Buffer.byteLength(content);
+      normalized[normalizeProjectPath(filePath)] = content;
+    }
+    if (totalBytes > MAX_PROJECT_BYTES) {
+      throw new Error(`Projects are limited to ${MAX_PROJECT_BYTES} bytes of source`);
+    }
+
+    return { files: normalized, entry: resolveEntry(normalized, entry) };
+  }
+
+  if (typeof code !== 'string') {
+    throw new Error('Either "code" or "files" is required');
+  }
+
+  const name = normalizeProjectPath(entry || filename);
+  return { files: { [name]: code }, entry: name };
+}
+
+// The file passed to the compiler: the given entry, else main.onyx, else the
+// only .onyx file in the project
+function resolveEntry(files, entry) {
+  if (entry) {
+    const normalized = normalizeProjectPath(entry);
+    if (!(normalized in files)) {
+      throw new Error(`Entry point "${entry}" is not one of the project files`);
+    }
+    return normalized;
+  }
+
+  if ('main.onyx' in files) return 'main.onyx';
+
+  const sources = Object.keys(files).filter(file => file.endsWith('.onyx'));
+  if (sources.length === 1) return sources[0];
+
+  throw new Error('"entry" is required when the project has no main.onyx and more than one .onyx file');
+}
+
+// Compiler flags, passed through as separate arguments. Path arguments must
+// not leave the directory the compiler runs in.
+export function resolveFlags(flags = []) {
+  if (!Array.isArray(flags) || flags.some(flag => typeof flag !== 'string')) {
+    throw new Error('"flags" must be an array of strings');
+  }
+
+  for (const flag of flags) {
+    for (const part of flag.split(/[=,:]/)) {
+      if (path.isAbsolute(part) || part.replace(/\\/g, '/').split('/').includes('..')) {
+        throw new Error(`Flag "${flag}" refers to a path outside the project`);
+      }
+    }
+  }
+  return flags;
+}
+
+// Write the project files below `dir`, creating subdirectories as needed
+export async function writeProject(dir, files) {
+  for (const [filePath, content] of Object.entries(files)) {
+    const target = path.join(dir, filePath);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, content, 'utf8');
+  }
+}
+
+async function listFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of await fs.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(dir, relative));
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+// Files in `dir` that were not part of the submitted project, such as the
+// compiled .wasm. With `includeContent`, contents are returned base64-encoded
+// until MAX_ARTIFACT_BYTES is reached; larger artifacts are listed only.
+export async function collectArtifacts(dir, files, options = {}) {
+  const { includeContent = false } = options;
+  const artifacts = [];
+  let remaining = MAX_ARTIFACT_BYTES;
+
+  for (const relative of (await listFiles(dir)).sort()) {
+    if (relative in files) continue;
+
+    const fullPath = path.join(dir, relative);
+    const { size } = await fs.stat(fullPath);
+    const artifact = { path: relative, size };
+
+    if (includeContent) {
+      if (size <= remaining) {
+        artifact.encoding = 'base64';
+        artifact.content = (await fs.readFile(fullPath)).toString('base64');
+        remaining -= size;
+      } else {
+        artifact.omitted = true;
+      }
+    }
+    artifacts.push(artifact);
+  }
+
+  return artifacts;
+}
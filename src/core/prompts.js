@@ -0,0 +1,178 @@
+// =============================================================================
+// PROMPT CATALOG
+// =============================================================================
+// Parameterized MCP prompts for common Onyx workflows. Each prompt names the
+// documentation it needs; the matching doc sections are retrieved from the
+// search index and pasted into the prompt when it is requested.
+
+// Doc sections included per prompt, and how much of each
+const MAX_DOC_SECTIONS = 4;
+const MAX_SECTION_LENGTH = 1200;
+
+// C constructs and the Onyx documentation that covers their equivalent
+const C_CONSTRUCT_QUERIES = [
+  { pattern: /\b(malloc|calloc|realloc|free)\s*\(/, query: 'allocator memory alloc free' },
+  { pattern: /\bstruct\s+\w+/, query: 'struct definition' },
+  { pattern: /\b(enum)\s+\w*\s*\{/, query: 'enum' },
+  { pattern: /\bunion\s+\w*\s*\{/, query: 'union' },
+  { pattern: /\b(printf|puts|fprintf)\s*\(/, query: 'printf formatting println' },
+  { pattern: /\bfor\s*\(/, query: 'for loop range' },
+  { pattern: /\bwhile\s*\(/, query: 'while loop' },
+  { pattern: /\bswitch\s*\(/, query: 'switch case' },
+  { pattern: /\bchar\s*\*|\bstrlen\s*\(|\bstrcmp\s*\(/, query: 'string str' },
+  { pattern: /\w+\s*\*\s*\w+\s*[=;,)]/, query: 'pointer' },
+  { pattern: /\[\s*\d*\s*\]/, query: 'array slice' },
+  { pattern: /#define\s+\w+\(/, query: 'macro' }
+];
+
+export const PROMPTS = [
+  {
+    name: 'explain_compile_error',
+    description: 'Explain an Onyx compiler error and suggest a fix',
+    arguments: [
+      { name: 'error', description: 'The compiler error output', required: true },
+      { name: 'code', description: 'The code that produced the error (optional)', required: false }
+    ],
+    // Search on the error message itself, without file positions
+    queries: (args) => [args.error.replace(/\(?[\w./\\-]+\.onyx:?\d*:?\d*\)?/g, ' ').slice(0, 300)],
+    render: (args) => [
+      'Explain the following Onyx compiler error: what it means, why it happens, and how to fix it.',
+      '',
+      '```',
+      args.error.trim(),
+      '```',
+      ...(args.code ? ['', 'The code that produced it:', '', '```onyx', args.code.trim(), '```'] : []),
+      '',
+      'Show the corrected code. Only use syntax and library procedures that exist in Onyx.'
+    ]
+  },
+
+  {
+    name: 'port_c_to_onyx',
+    description: 'Port a C snippet to idiomatic Onyx',
+    arguments: [
+      { name: 'code', description: 'The C code to port', required: true },
+      { name: 'notes', description: 'Constraints or context for the port (optional)', required: false }
+    ],
+    queries: (args) => {
+      const queries = C_CONSTRUCT_QUERIES
+        .filter(({ pattern }) => pattern.test(args.code))
+        .map(({ query }) => query);
+      return queries.length > 0 ? queries : ['procedures types'];
+    },
+    render: (args) => [
+      'Port the following C code to idiomatic Onyx.',
+      '',
+      '```c',
+      args.code.trim(),
+      '```',
+      ...(args.notes ? ['', `Notes: ${args.notes.trim()}`] : []),
+      '',
+      'Use Onyx allocators and `defer` instead of manual malloc/free pairs, slices and dynamic arrays instead of pointer arithmetic, and `core` library procedures instead of libc. Point out any behavior that cannot be ported directly (Onyx compiles to WebAssembly).'
+    ]
+  },
+
+  {
+    name: 'write_package_skeleton',
+    description: 'Write the skeleton of a new Onyx package',
+    arguments: [
+      { name: 'name', description: 'Package name', required: true },
+      { name: 'description', description: 'What the package does (optional)', required: false },
+      { name: 'type', description: 'Either "library" or "application" (optional, defaults to library)', required: false }
+    ],
+    queries: () => ['package onyx pkg init', 'onyx-pkg.kdl dependencies', 'package load use'],
+    render: (args) => {
+      const type = args.type === 'application' ? 'application' : 'library';
+      return [
+        `Write the skeleton of a new Onyx ${type} package named "${args.name}".`,
+        ...(args.description ? ['', `It should: ${args.description.trim()}`] : []),
+        '',
+        'Include the package manifest (onyx-pkg.kdl), the directory layout, the main source file with its `package` declaration' +
+          (type === 'application' ? ' and a `main` procedure' : ' and a small public API') +
+          ', and a short explanation of how to build it with `onyx pkg build`.'
+      ];
+    }
+  },
+
+  {
+    name: 'review_memory_leaks',
+    description: 'Review Onyx code for memory leaks and allocator misuse',
+    arguments: [
+      { name: 'code', description: 'The Onyx code to review', required: true }
+    ],
+    queries: () => ['allocator memory', 'defer free delete', 'temporary allocator arena'],
+    render: (args) => [
+      'Review the following Onyx code for memory leaks and allocator misuse.',
+      '',
+      '```onyx',
+      args.code.trim(),
+      '```',
+      '',
+      'For every allocation, check which allocator it uses and whether it is freed (or deliberately owned by an arena or the temporary allocator). Flag missing `defer` cleanups, double frees and uses after free, and show a corrected version of the code.'
+    ]
+  }
+];
+
+// Prompt listing in the MCP prompts/list shape
+export const PROMPT_DEFINITIONS = PROMPTS.map(({ name, description, arguments: args }) => ({
+  name,
+  description,
+  arguments: args
+}));
+
+// Retrieve the doc sections for a set of queries, best hits first, without
+// repeating a section matched by more than one query
+export async function findPromptDocs(searchEngine, queries) {
+  const sections = new Map();
+
+  for (const query of queries) {
+    for (const { document } of await searchEngine.searchDocSections(query, 2)) {
+      if (!sections.has(document.url)) {
+        sections.set(document.url, document);
+      }
+    }
+  }
+
+  return [...sections.values()].slice(0, MAX_DOC_SECTIONS);
+}
+
+function renderDocs(sections) {
+  if (sections.length === 0) {
+    return ['', 'No matching documentation has been crawled yet; search the Onyx docs before answering.'];
+  }
+
+  const lines = ['', 'Relevant Onyx documentation:'];
+  for (const section of sections) {
+    const content = section.content.length > MAX_SECTION_LENGTH
+      ? section.content.substring(0, MAX_SECTION_LENGTH) + '...'
+      : section.content;
+    lines.push('', `### ${section.title}${section.section && section.section !== section.title ? ` - ${section.section}` : ''}`, `Source: ${section.url}`, '', content);
+  }
+  return lines;
+}
+
+// Build a prompts/get result. `context` is prepended to the prompt text.
+export async function buildPrompt(name, args = {}, searchEngine, context = '') {
+  const prompt = PROMPTS.find(p => p.name === name);
+  if (!prompt) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+
+  for (const argument of prompt.arguments) {
+    if (argument.required && !args[argument.name]) {
+      throw new Error(`Missing required argument: ${argument.name}`);
+    }
+  }
+
+  const docs = await findPromptDocs(searchEngine, prompt.queries(args));
+  const text = [
+    ...(context ? [context.trim(), ''] : []),
+    ...prompt.render(args),
+    ...renderDocs(docs)
+  ].join('\n');
+
+  return {
+    description: prompt.description,
+    messages: [{ role: 'user', content: { type: 'text', text } }]
+  };
+}
@@ -0,0 +1,68 @@
+// =============================================================================
+// MCP RESOURCE URIS
+// =============================================================================
+// Crawled documentation pages and source files are exposed as MCP resources:
+//
+//   onyx-docs://{host}/{path}    e.g. onyx-docs://docs.onyxlang.io/book/memory/allocators.html
+//   onyx-github://{repo}/{path}  e.g. onyx-github://onyx-lang/onyx/core/string.onyx
+//
+// GitHub repositories are `owner/name`; local crawls (`local:name`) are a
+// single path segment.
+
+export const DOCS_SCHEME = 'onyx-docs://';
+export const GITHUB_SCHEME = 'onyx-github://';
+
+const MIME_TYPES = {
+  '.onyx': 'text/x-onyx',
+  '.md': 'text/markdown',
+  '.json': 'application/json',
+  '.kdl': 'text/plain',
+  '.toml': 'application/toml',
+  '.html': 'text/html',
+  '.js': 'text/javascript',
+  '.css': 'text/css'
+};
+
+// Host and path of a documentation page. The host keeps pages with the same
+// path on different documentation sites apart. Anchors are dropped: the
+// resource is always the whole page.
+export function docPagePath(url) {
+  const { host, pathname } = new URL(url);
+  return `${host}/${decodeURI(pathname).replace(/^\/+/, '')}`;
+}
+
+export function docResourceUri(url) {
+  return DOCS_SCHEME + encodeURI(docPagePath(url));
+}
+
+export function githubResourceUri(repository, filePath) {
+  return GITHUB_SCHEME + encodeURI(`${repository}/${filePath}`);
+}
+
+// Split a resource URI into its source and location, or null when the URI
+// does not belong to this server
+export function parseResourceUri(uri) {
+  try {
+    if (uri.startsWith(DOCS_SCHEME)) {
+      const pagePath = decodeURI(uri.slice(DOCS_SCHEME.length).replace(/#.*$/, ''));
+      return pagePath ? { type: 'docs', path: pagePath } : null;
+    }
+
+    if (uri.startsWith(GITHUB_SCHEME)) {
+      const segments = decodeURI(uri.slice(GITHUB_SCHEME.length)).split('/');
+      const repoSegments = segments[0].includes(':') ? 1 : 2;
+      const repository = segments.slice(0, repoSegments).join('/');
+      const filePath = segments.slice(repoSegments).join('/');
+      return repository && filePath ? { type: 'github', repository, path: filePath } : null;
+    }
+  } catch {
+    // Malformed percent-encoding
+  }
+
+  return null;
+}
+
+export function guessMimeType(filePath) {
+  const match = filePath.toLowerCase().match(/\.[a-z0-9]+$/);
+  return (match && MIME_TYPES[match[0]]) || 'text/plain';
+}
@@ -0,0 +1,324 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile, spawn } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+// =============================================================================
+// EXECUTION SANDBOX
+// =============================================================================
+// Runs untrusted commands (such as `onyx run` on submitted code, or builds of
+// a workspace directory) in a throwaway directory with a cleared environment,
+// CPU/memory/file-size rlimits, capped output and no network. Isolation uses
+// bubblewrap, which also confines the filesystem to the toolchain, the work
+// directory and any directory bound for the command. When
+// it is not available, runs are refused unless the operator sets
+// ONYX_MCP_ALLOW_UNSANDBOXED=true. The `unshare` mode (user, network and PID
+// namespaces) must be chosen explicitly: it leaves the whole filesystem of
+// the server user readable and writable, and results say so.
+//
+// Environment:
+//   ONYX_MCP_SANDBOX              auto (default, bwrap only), bwrap, unshare or none
+//   ONYX_MCP_ALLOW_UNSANDBOXED    "true" to run without isolation
+//   ONYX_MCP_SANDBOX_MEMORY_MB    data segment limit (default 512)
+//   ONYX_MCP_SANDBOX_MAX_OUTPUT   bytes kept per stream (default 65536)
+//   ONYX_MCP_SANDBOX_MAX_TIMEOUT  upper bound on run timeouts in seconds (default 60)
+//   ONYX_MCP_SANDBOX_ENV_ALLOWLIST  comma-separated variable names programs may
+//                                  be given via `env` (a trailing * matches a
+//                                  prefix); unset rejects every name
+
+export const ISOLATION_MODES = ['bwrap', 'unshare', 'none'];
+
+// Modes `auto` may pick: only those that also isolate the filesystem
+const AUTO_ISOLATION_MODES = ['bwrap'];
+
+export function getSandboxConfig(env = process.env) {
+  return {
+    mode: env.ONYX_MCP_SANDBOX || 'auto',
+    allowUnsandboxed: env.ONYX_MCP_ALLOW_UNSANDBOXED === 'true',
+    memoryMb: parseInt(env.ONYX_MCP_SANDBOX_MEMORY_MB) || 512,
+    maxFileSizeMb: 16,
+    maxOutputBytes: parseInt(env.ONYX_MCP_SANDBOX_MAX_OUTPUT) || 64 * 1024,
+    maxTimeoutSeconds: parseInt(env.ONYX_MCP_SANDBOX_MAX_TIMEOUT) || 60,
+    envAllowlist: env.ONYX_MCP_SANDBOX_ENV_ALLOWLIST
+      ? env.ONYX_MCP_SANDBOX_ENV_ALLOWLIST.split(',').map(name => name.trim()).filter(Boolean)
+      : null
+  };
+}
+
+// Variables that control the toolchain or the loader and are never taken
+// from a request
+const RESERVED_ENV = /^(PATH|HOME|TMPDIR|LANG|SHELL|ONYX_PATH|LD_\w*|DYLD_\w*|NODE_OPTIONS)$/;
+
+function isAllowedEnvName(name, allowlist) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) || RESERVED_ENV.test(name)) return false;
+  if (!allowlist) return false;
+  return allowlist.some(entry => entry.endsWith('*') ? name.startsWith(entry.slice(0, -1)) : name === entry);
+}
+
+// Validate the input given to a program run: `stdin` text, `args` passed
+// after the program, and `env` variables checked against the allowlist
+export function resolveProgramInput(input = {}, config = getSandboxConfig()) {
+  const { stdin, args = [], env = {} } = input;
+
+  if (stdin !== undefined && stdin !== null && typeof stdin !== 'string') {
+    throw new Error('"stdin" must be a string');
+  }
+  if (!Array.isArray(args) || args.some(arg => typeof arg !== 'string')) {
+    throw new Error('"args" must be an array of strings');
+  }
+  if (typeof env !== 'object' || env === null || Array.isArray(env)) {
+    throw new Error('"env" must map variable names to string values');
+  }
+
+  for (const [name, value] of Object.entries(env)) {
+    if (typeof value !== 'string') {
+      throw new Error(`Value of environment variable "${name}" must be a string`);
+    }
+    if (!isAllowedEnvName(name, config.envAllowlist)) {
+      throw new Error(`Environment variable "${name}" is not allowed`);
+    }
+  }
+
+  return { stdin: stdin ?? null, args, env };
+}
+
+// Signal names by number. bwrap does not die from the signal that kills the
+// program; it exits with 128 + the signal number instead.
+const SIGNAL_NAMES = {};
+for (const [name, number] of Object.entries(os.constants.signals)) {
+  SIGNAL_NAMES[number] ??= name;
+}
+
+function exitSignal(isolation, code, signal) {
+  if (signal) return signal;
+  return isolation === 'bwrap' && code > 128 ? SIGNAL_NAMES[code - 128] ?? null : null;
+}
+
+// Probe commands for each isolation mode; a mode is usable when its probe
+// exits cleanly on this machine
+const ISOLATION_PROBES = {
+  bwrap: ['bwrap', ['--unshare-all', '--die-with-parent', '--ro-bind', '/', '/', 'true']],
+  unshare: ['unshare', ['--user', '--map-root-user', '--net', '--pid', '--fork', '--kill-child', 'true']]
+};
+
+export class Sandbox {
+  constructor(config = getSandboxConfig()) {
+    this.config = config;
+    this.isolationPromise = null;
+  }
+
+  // The isolation mode runs will use, detected once
+  async getIsolation() {
+    if (!this.isolationPromise) {
+      this.isolationPromise = this.detectIsolation();
+    }
+    return this.isolationPromise;
+  }
+
+  async detectIsolation() {
+    const { mode } = this.config;
+    if (mode === 'none') return 'none';
+
+    const candidates = mode === 'auto' ? AUTO_ISOLATION_MODES : [mode];
+    for (const candidate of candidates) {
+      const probe = ISOLATION_PROBES[candidate];
+      if (!probe) {
+        throw new Error(`Unknown sandbox mode "${candidate}". Use one of: auto, ${ISOLATION_MODES.join(', ')}`);
+      }
+      try {
+        await execFileAsync(probe[0], probe[1], { timeout: 5000 });
+        return candidate;
+      } catch {
+        // Not installed or not permitted here
+      }
+    }
+
+    return 'none';
+  }
+
+  async createWorkDir() {
+    return await fs.mkdtemp(path.join(os.tmpdir(), 'onyx-run-'));
+  }
+
+  async removeWorkDir(workDir) {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+
+  // Directory of the Onyx installation (core libraries and runtime), which
+  // must stay readable inside the sandbox
+  async findOnyxHome() {
+    if (process.env.ONYX_PATH) return process.env.ONYX_PATH;
+
+    for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+      try {
+        const binary = await fs.realpath(path.join(dir, 'onyx'));
+        return path.dirname(path.dirname(binary));
+      } catch {
+        // Not in this PATH entry
+      }
+    }
+    return null;
+  }
+
+  // Only what the toolchain needs survives: no tokens, keys or proxies.
+  // `env` holds the (already validated) variables requested for the program.
+  buildEnvironment(workDir, env = {}) {
+    return {
+      ...env,
+      PATH: process.env.PATH || '/usr/local/bin:/usr/bin:/bin',
+      HOME: workDir,
+      TMPDIR: workDir,
+      LANG: 'C.UTF-8',
+      ...(process.env.ONYX_PATH && { ONYX_PATH: process.env.ONYX_PATH })
+    };
+  }
+
+  // Wrap a command in a shell that applies the rlimits before exec'ing it
+  buildLimitedCommand(command, args, timeoutSeconds) {
+    const { memoryMb, maxFileSizeMb } = this.config;
+    const limits = [
+      `ulimit -t ${Math.ceil(timeoutSeconds) + 1}`,
+      `ulimit -d ${memoryMb * 1024}`,
+      `ulimit -f ${maxFileSizeMb * 2048}`,
+      'exec "$@"'
+    ].join('; ');
+    return ['/bin/sh', '-c', limits, 'sandbox', command, ...args];
+  }
+
+  // `bind` lists further directories that stay writable inside the sandbox,
+  // and `cwd` (one of them, or the work directory) is where the command runs
+  async buildIsolatedCommand(isolation, limitedCommand, workDir, { cwd = workDir, bind = [] } = {}) {
+    if (isolation === 'bwrap') {
+      const onyxHome = await this.findOnyxHome();
+      const readOnly = ['/usr', '/bin', '/lib', '/lib64', '/etc', onyxHome]
+        .filter(Boolean)
+        .flatMap(dir => ['--ro-bind-try', dir, dir]);
+
+      return [
+        'bwrap',
+        '--unshare-all',
+        '--die-with-parent',
+        '--new-session',
+        ...readOnly,
+        '--proc', '/proc',
+        '--dev', '/dev',
+        '--tmpfs', '/tmp',
+        '--bind', workDir, workDir,
+        ...bind.flatMap(dir => ['--bind', dir, dir]),
+        '--chdir', cwd,
+        '--',
+        ...limitedCommand
+      ];
+    }
+
+    if (isolation === 'unshare') {
+      return ['unshare', '--user', '--map-root-user', '--net', '--pid', '--fork', '--kill-child', '--', ...limitedCommand];
+    }
+
+    return limitedCommand;
+  }
+
+  // Run a command inside the sandbox with `workDir` as its home and temporary
+  // directory. It runs in `workDir` too unless `cwd` names one of the `bind`
+  // directories, such as a workspace directory to build in.
+  async run(command, args, options = {}) {
+    const { workDir, cwd = workDir, bind = [], timeoutSeconds = 10, stdin = null, env = {} } = options;
+    const isolation = await this.getIsolation();
+
+    if (isolation === 'none' && !this.config.allowUnsandboxed) {
+      throw new Error(
+        'No sandbox is available for code execution (install bubblewrap). ' +
+        'Set ONYX_MCP_ALLOW_UNSANDBOXED=true to run code without isolation.'
+      );
+    }
+
+    const timeout = Math.min(Math.max(timeoutSeconds, 1), this.config.maxTimeoutSeconds);
+    const limited = this.buildLimitedCommand(command, args, timeout);
+    const [executable, ...executableArgs] = await this.buildIsolatedCommand(isolation, limited, workDir, { cwd, bind });
+
+    return await new Promise((resolve) => {
+      const startTime = Date.now();
+      const output = { stdout: '', stderr: '' };
+      let outputTruncated = false;
+      let timedOut = false;
+      let finished = false;
+
+      const child = spawn(executable, executableArgs, {
+        cwd,
+        env: this.buildEnvironment(workDir, env),
+        stdio: [stdin === null ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+        detached: true
+      });
+
+      if (stdin !== null) {
+        // The program may exit without reading all of its input
+        child.stdin.on('error', () => {});
+        child.stdin.end(stdin);
+      }
+
+      // Kill the whole process group, not just the wrapper
+      const kill = () => {
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch {
+          // Already gone
+        }
+      };
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        kill();
+      }, timeout * 1000);
+
+      const collect = (stream) => (data) => {
+        const remaining = this.config.maxOutputBytes - Buffer.byteLength(output[stream]);
+        if (data.length > remaining) {
+          output[stream] += data.subarray(0, Math.max(remaining, 0)).toString();
+          outputTruncated = true;
+          kill();
+        } else {
+          output[stream] += data.toString();
+        }
+      };
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
+
+      const finish = (result) => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+
+        let stderr = output.stderr;
+        if (timedOut) stderr += `\n[TIMEOUT] Execution exceeded ${timeout} seconds`;
+        if (outputTruncated) stderr += `\n[TRUNCATED] Output exceeded ${this.config.maxOutputBytes} bytes`;
+
+        resolve({
+          stdout: output.stdout,
+          stderr,
+          executionTime: Date.now() - startTime,
+          timedOut,
+          outputTruncated,
+          sandbox: isolation,
+          filesystemIsolated: isolation === 'bwrap',
+          ...result
+        });
+      };
+
+      child.on('close', (code, childSignal) => {
+        // 127: the shell could not find the command
+        const notFound = code === 127 ? `\nNote: Make sure '${command}' is installed and available in PATH.` : '';
+        output.stderr += notFound;
+        const signal = exitSignal(isolation, code, childSignal);
+        finish({ success: code === 0 && !timedOut && !outputTruncated, exitCode: code ?? -1, ...(signal && { signal }) });
+      });
+
+      child.on('error', (error) => {
+        output.stderr += `Error starting sandbox: ${error.message}`;
+        finish({ success: false, exitCode: -1 });
+      });
+    });
+  }
+}
@@ -1,5 +1,57 @@
 import fs from 'fs/promises';
+import { watch } from 'fs';
 import path from 'path';
+import {
+  INDEX_FILES,
+  buildDocsIndex,
+  buildGitHubFilesIndex,
+  loadIndex,
+  saveIndex
+} from './search-index.js';
+import { findClosestSymbols, normalizeSymbol } from './fuzzy.js';
+import { docPagePath, docResourceUri, githubResourceUri } from './resources.js';
+
+// Additive ranking boosts for important GitHub file types
+const FILE_TYPE_BOOSTS = {
+  'readme': 10,
+  'package-config': 8,
+  'documentation': 7,
+  'project-config': 6,
+  'web-index': 6,
+  'web-content': 5
+};
+
+// Crawl output the engine reads, relative to the data directory
+const DATA_FILES = {
+  docs: 'onyx-docs.json',
+  githubFiles: 'github/onyx-code.json',
+  githubPatterns: 'github/code-patterns.json',
+  examplesByTopic: 'github/examples-by-topic.json',
+  symbols: 'onyx-symbols.json'
+};
+
+const INDEX_BUILDERS = {
+  docs: buildDocsIndex,
+  githubFiles: buildGitHubFilesIndex
+};
+
+// Rebuild every persisted search index from the raw crawl data on disk
+export async function rebuildSearchIndexes(dataDir) {
+  const rebuilt = {};
+
+  for (const [type, files] of Object.entries(INDEX_FILES)) {
+    try {
+      const raw = JSON.parse(await fs.readFile(path.join(dataDir, files.raw), 'utf8'));
+      const index = INDEX_BUILDERS[type](raw);
+      await saveIndex(index, path.join(dataDir, files.index));
+      rebuilt[type] = index.size;
+    } catch (error) {
+      rebuilt[type] = { error: error.message };
+    }
+  }
+
+  return rebuilt;
+}
 
 export class SearchEngine {
   constructor(dataDir) {
@@ -8,79 +60,239 @@ export class SearchEngine {
       docs: null,
       githubFiles: null,
       githubPatterns: null,
-      examplesByTopic: null
+      examplesByTopic: null,
+      symbols: null
+    };
+    this.indexes = {
+      docs: null,
+      githubFiles: null
     };
   }
 
   async loadData(type) {
-    if (this.cache[type]) {
-      return this.cache[type];
+    // A reload during the read swaps in a new cache; this read only fills
+    // the cache it started from
+    const cache = this.cache;
+    if (cache[type]) {
+      return cache[type];
     }
 
-    const filePaths = {
-      docs: 'onyx-docs.json',
-      githubFiles: 'github/onyx-code.json',
-      githubPatterns: 'github/code-patterns.json',
-      examplesByTopic: 'github/examples-by-topic.json'
-    };
-
     try {
-      const filePath = path.join(this.dataDir, filePaths[type]);
+      const filePath = path.join(this.dataDir, DATA_FILES[type]);
       const data = await fs.readFile(filePath, 'utf8');
-      this.cache[type] = JSON.parse(data);
-      return this.cache[type];
+      cache[type] = JSON.parse(data);
+      return cache[type];
     } catch (error) {
       console.error(`Failed to load ${type}:`, error.message);
       return null;
     }
   }
 
-  // Search official Onyx documentation
-  async searchDocs(query, limit = 5) {
-    const docs = await this.loadData('docs');
-    if (!docs) {
-      return { error: 'Documentation not available. Run crawler first.' };
+  // Load the prebuilt index written at crawl time. If it is missing, stale or
+  // from another index version, build it in memory from the raw data instead.
+  async getIndex(type) {
+    const indexes = this.indexes;
+    if (indexes[type]) {
+      return indexes[type];
     }
 
-    const queryLower = query.toLowerCase();
-    const results = [];
-
-    for (const doc of docs) {
-      let score = 0;
-      const titleMatch = doc.title.toLowerCase().includes(queryLower);
-      const contentMatch = doc.content.toLowerCase().includes(queryLower);
-      
-      if (titleMatch) score += 10;
-      if (contentMatch) score += 1;
-      
-      // Check headings
-      for (const heading of doc.headings || []) {
-        if (heading.text.toLowerCase().includes(queryLower)) {
-          score += 5;
-        }
+    const indexPath = path.join(this.dataDir, INDEX_FILES[type].index);
+    const rawPath = path.join(this.dataDir, INDEX_FILES[type].raw);
+
+    if (!(await this.isIndexStale(indexPath, rawPath))) {
+      const index = await loadIndex(indexPath);
+      if (index) {
+        indexes[type] = index;
+        return index;
+      }
+    }
+
+    const data = await this.loadData(type);
+    if (!data) return null;
+
+    console.error(`Building ${type} search index in memory. Run "onyx-mcp index rebuild" to persist it.`);
+    indexes[type] = INDEX_BUILDERS[type](data);
+    return indexes[type];
+  }
+
+  // Re-read the datasets and indexes that are loaded, then swap them in
+  // together. Searches already running finish on the data they started
+  // with. A dataset whose data or index no longer loads keeps both its
+  // previous data and index, so they always match, and is reported in
+  // `failed`; anything not loaded yet is read on first use.
+  async reload() {
+    const next = new SearchEngine(this.dataDir);
+    const dataTypes = Object.keys(this.cache).filter(type => this.cache[type]);
+    const indexTypes = Object.keys(this.indexes).filter(type => this.indexes[type]);
+    const failed = [];
+
+    for (const type of dataTypes) {
+      if (!(await next.loadData(type))) {
+        next.cache[type] = this.cache[type];
+        failed.push(type);
+      }
+    }
+
+    for (const type of indexTypes) {
+      if (failed.includes(type)) {
+        next.indexes[type] = this.indexes[type];
+      } else if (!(await next.getIndex(type))) {
+        next.indexes[type] = this.indexes[type];
+        if (this.cache[type]) next.cache[type] = this.cache[type];
+        failed.push(type);
       }
-      
-      if (score > 0) {
-        results.push({
-          ...doc,
-          score,
-          snippet: this.getSnippet(doc.content, queryLower)
+    }
+
+    this.cache = next.cache;
+    this.indexes = next.indexes;
+    this.reloadedAt = new Date().toISOString();
+
+    return {
+      reloaded: [...new Set([...dataTypes, ...indexTypes])].filter(type => !failed.includes(type)),
+      failed,
+      reloadedAt: this.reloadedAt
+    };
+  }
+
+  // Reload when a crawl replaces files in the data directory. Crawlers write
+  // each file at once by renaming, and the burst at the end of a crawl is
+  // debounced into one reload. `onReload` receives the reload summary or
+  // an error.
+  watch(onReload = () => {}, debounceMs = 1000) {
+    if (this.watchers) return;
+
+    const watched = new Set([
+      ...Object.values(DATA_FILES),
+      ...Object.values(INDEX_FILES).map(files => files.index)
+    ]);
+    this.watchers = [];
+
+    for (const dir of new Set([...watched].map(file => path.dirname(file)))) {
+      try {
+        const watcher = watch(path.join(this.dataDir, dir), (event, filename) => {
+          if (filename && watched.has(path.join(dir, filename))) {
+            this.scheduleReload(onReload, debounceMs);
+          }
         });
+        watcher.on('error', error => onReload(null, error));
+        watcher.unref();
+        this.watchers.push(watcher);
+      } catch (error) {
+        // Nothing is cached from a directory that does not exist yet, and
+        // uncached data is read from disk on first use
+        if (error.code !== 'ENOENT') onReload(null, error);
       }
     }
+  }
+
+  scheduleReload(onReload, debounceMs) {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => {
+      this.reload().then(summary => onReload(summary), error => onReload(null, error));
+    }, debounceMs);
+    this.reloadTimer.unref();
+  }
+
+  unwatch() {
+    clearTimeout(this.reloadTimer);
+    for (const watcher of this.watchers || []) watcher.close();
+    this.watchers = null;
+  }
+
+  async isIndexStale(indexPath, rawPath) {
+    try {
+      const [indexStat, rawStat] = await Promise.all([fs.stat(indexPath), fs.stat(rawPath)]);
+      return indexStat.mtimeMs < rawStat.mtimeMs;
+    } catch {
+      // A missing raw file cannot make the index stale; a missing index can
+      // only be rebuilt from raw data, which loadData reports on
+      return false;
+    }
+  }
+
+  // Search official Onyx documentation
+  async searchDocs(query, limit = 5) {
+    const index = await this.getIndex('docs');
+    if (!index) {
+      return { error: 'Documentation not available. Run crawler first.' };
+    }
+
+    const hits = index.search(query);
 
-    results.sort((a, b) => b.score - a.score);
-    
     return {
       query,
       source: 'documentation',
-      totalFound: results.length,
-      results: results.slice(0, limit).map(r => ({
-        title: r.title,
-        url: r.url,
-        snippet: r.snippet,
-        headings: (r.headings || []).map(h => h.text).slice(0, 3),
-        score: r.score
+      totalFound: hits.length,
+      results: hits.slice(0, limit).map(({ document: section, score, matchedTerms }) => ({
+        title: section.title,
+        section: section.section,
+        url: section.url,
+        pageUrl: section.pageUrl,
+        resourceUri: docResourceUri(section.pageUrl),
+        snippet: this.getSnippet(section.content, this.pickSnippetTerm(section.content, query, matchedTerms), 300),
+        codeExamples: section.codeExamples.slice(0, 2).map(example => example.code),
+        score
+      }))
+    };
+  }
+
+  // Ranked documentation sections with their full content
+  async searchDocSections(query, limit = 5) {
+    const index = await this.getIndex('docs');
+    return index ? index.search(query).slice(0, limit) : [];
+  }
+
+  // Look up API reference symbols by exact (optionally package-qualified)
+  // name, e.g. "core.string.split" or "split", falling back to fuzzy matches
+  async lookupSymbol(symbol, options = {}) {
+    const { kind = null, packageName = null, limit = 5 } = options;
+    const symbols = await this.loadData('symbols');
+    if (!symbols) {
+      return { error: 'Symbol index not available. Run documentation crawler first.' };
+    }
+
+    const candidates = symbols.filter(s =>
+      (!kind || s.kind === kind) &&
+      (!packageName || s.package === packageName)
+    );
+
+    const queryLower = symbol.toLowerCase();
+    const isExact = s => {
+      const qualified = s.qualifiedName.toLowerCase();
+      return qualified === queryLower ||
+        qualified.endsWith(`.${queryLower}`) ||
+        s.name.toLowerCase() === queryLower;
+    };
+
+    let matches = candidates.filter(isExact);
+    let matchType = 'exact';
+    let didYouMean = [];
+
+    if (matches.length === 0) {
+      const nameOf = s => symbol.includes('.') ? s.qualifiedName : s.name;
+      const closest = findClosestSymbols(symbol, candidates.map(nameOf));
+      const similarity = new Map(closest.map(match => [match.name, match.similarity]));
+
+      matches = candidates
+        .filter(s => similarity.has(nameOf(s)))
+        .sort((a, b) => similarity.get(nameOf(b)) - similarity.get(nameOf(a)));
+      matchType = 'fuzzy';
+      didYouMean = closest.map(match => match.name);
+    }
+
+    return {
+      query: symbol,
+      matchType,
+      totalFound: matches.length,
+      ...(didYouMean.length > 0 && { didYouMean }),
+      symbols: matches.slice(0, limit).map(s => ({
+        qualifiedName: s.qualifiedName,
+        package: s.package,
+        kind: s.kind,
+        signature: s.signature,
+        doc: s.doc,
+        url: s.url,
+        sourceUrl: s.sourceUrl
       }))
     };
   }
@@ -122,6 +334,7 @@ export class SearchEngine {
         file: example.path,
         repository: example.repository,
         url: example.url,
+        resourceUri: githubResourceUri(example.repository, example.path),
         code: example.code.length > 1000 ? 
           example.code.substring(0, 1000) + '\n... (truncated)' : 
           example.code,
@@ -139,23 +352,24 @@ export class SearchEngine {
       return { error: 'GitHub patterns not available. Run GitHub crawler first.' };
     }
 
-    let functions = patterns.functions || [];
-
-    if (functionName) {
-      // Filter by function name (partial match)
-      functions = functions.filter(func => 
-        func.definition.toLowerCase().includes(functionName.toLowerCase())
-      );
-    }
+    const { matches, matchType, didYouMean } = this.matchSymbols(patterns.functions || [], functionName);
 
     return {
       query: functionName,
-      totalFound: functions.length,
-      examples: functions.slice(0, limit).map(func => ({
+      totalFound: matches.length,
+      matchType,
+      ...(didYouMean.length > 0 && { didYouMean }),
+      examples: matches.slice(0, limit).map(func => ({
+        name: this.getSymbolName(func),
+        signature: func.signature,
         definition: func.definition,
+        docComment: func.docComment,
         file: func.file,
+        line: func.line,
+        endLine: func.endLine,
         repository: func.repository,
-        url: func.url
+        url: func.permalink || func.url,
+        resourceUri: githubResourceUri(func.repository, func.file)
       }))
     };
   }
@@ -167,27 +381,81 @@ export class SearchEngine {
       return { error: 'GitHub patterns not available. Run GitHub crawler first.' };
     }
 
-    let structs = patterns.structs || [];
-
-    if (structName) {
-      // Filter by struct name (partial match)
-      structs = structs.filter(struct => 
-        struct.definition.toLowerCase().includes(structName.toLowerCase())
-      );
-    }
+    const { matches, matchType, didYouMean } = this.matchSymbols(patterns.structs || [], structName);
 
     return {
       query: structName,
-      totalFound: structs.length,
-      examples: structs.slice(0, limit).map(struct => ({
+      totalFound: matches.length,
+      matchType,
+      ...(didYouMean.length > 0 && { didYouMean }),
+      examples: matches.slice(0, limit).map(struct => ({
+        name: this.getSymbolName(struct),
+        signature: struct.signature,
         definition: struct.definition,
+        docComment: struct.docComment,
         file: struct.file,
+        line: struct.line,
+        endLine: struct.endLine,
         repository: struct.repository,
-        url: struct.url
+        url: struct.permalink || struct.url,
+        resourceUri: githubResourceUri(struct.repository, struct.file)
       }))
     };
   }
 
+  // Name of the symbol declared by an extracted pattern
+  getSymbolName(pattern) {
+    if (pattern.name) return pattern.name;
+    const match = pattern.definition.match(/^\s*([\w.]+)\s*::/);
+    return match ? match[1] : null;
+  }
+
+  // Filter extracted definitions by name. Substring matches win; when there
+  // are none, fall back to the closest names by edit distance and trigrams.
+  // Unless the query names a symbol exactly, suggest the nearest known names.
+  matchSymbols(definitions, query) {
+    if (!query) {
+      return { matches: definitions, matchType: 'all', didYouMean: [] };
+    }
+
+    const names = definitions.map(def => this.getSymbolName(def)).filter(Boolean);
+    const closest = findClosestSymbols(query, names, { limit: 10 });
+    const exactName = names.some(name => name.toLowerCase() === query.toLowerCase());
+
+    const queryLower = query.toLowerCase();
+    let matches = definitions.filter(def => (def.signature || def.definition).toLowerCase().includes(queryLower));
+    let matchType = 'substring';
+
+    if (matches.length === 0) {
+      const similarity = new Map(closest.map(match => [match.name, match.similarity]));
+      matches = definitions
+        .filter(def => similarity.has(this.getSymbolName(def)))
+        .sort((a, b) => similarity.get(this.getSymbolName(b)) - similarity.get(this.getSymbolName(a)));
+      matchType = 'fuzzy';
+    }
+
+    return {
+      matches,
+      matchType,
+      didYouMean: exactName ? [] : closest.slice(0, 5).map(match => match.name)
+    };
+  }
+
+  // Full documentation page by its host and path, e.g.
+  // "docs.onyxlang.io/book/memory/allocators.html"
+  async getDocPage(pagePath) {
+    const docs = await this.loadData('docs');
+    if (!docs) return null;
+    return docs.find(doc => docPagePath(doc.url) === pagePath) || null;
+  }
+
+  // Full crawled file from a GitHub repository or local crawl
+  async getGitHubFile(repository, filePath) {
+    const files = await this.loadData('githubFiles');
+    if (!files) return null;
+    return files.find(file => file.repository === repository && file.path === filePath) || null;
+  }
+
   // Search across all sources
   async searchAll(query, sources = ['docs', 'github'], limit = 10) {
     const results = {
@@ -208,9 +476,8 @@ export class SearchEngine {
 
     if (sources.includes('github')) {
       // Search GitHub files directly
-      const githubFiles = await this.loadData('githubFiles');
-      if (githubFiles) {
-        const githubResults = this.searchGitHubFiles(githubFiles, query, perSourceLimit);
+      const githubResults = await this.searchGitHubFiles(query, perSourceLimit);
+      if (!githubResults.error) {
         results.resultsBySources.github = githubResults;
         results.totalResults += githubResults.totalFound || 0;
       }
@@ -239,44 +506,28 @@ export class SearchEngine {
   }
 
   // Search GitHub files directly
-  searchGitHubFiles(files, query, limit) {
-    const queryLower = query.toLowerCase();
-    const results = [];
-
-    for (const file of files) {
-      let score = 0;
-      const pathMatch = file.path.toLowerCase().includes(queryLower);
-      const repoMatch = file.repository.toLowerCase().includes(queryLower);
-      const codeMatch = file.code && file.code.toLowerCase().includes(queryLower);
-      const contentMatch = file.content && file.content.toLowerCase().includes(queryLower);
-      
-      // Higher scores for different types of matches
-      if (pathMatch) score += 5;
-      if (repoMatch) score += 3;
-      if (codeMatch || contentMatch) score += 1;
-      
-      // Boost score for important file types
-      if (file.fileType === 'readme') score += 10;
-      if (file.fileType === 'package-config') score += 8;
-      if (file.fileType === 'project-config') score += 6;
-      if (file.fileType === 'documentation') score += 7;
-      if (file.fileType === 'web-content') score += 5;
-      if (file.fileType === 'web-index') score += 6;
-      if (file.fileType === 'example' && file.path.toLowerCase().endsWith('.html')) score += 4;
-      
-      if (score > 0) {
-        const content = file.content || file.code || '';
-        results.push({
-          file: file.path,
-          repository: file.repository,
-          url: file.url,
-          score: score,
-          fileType: file.fileType || 'unknown',
-          codeSnippet: this.getSnippet(content, queryLower, 300)
-        });
-      }
+  async searchGitHubFiles(query, limit) {
+    const index = await this.getIndex('githubFiles');
+    if (!index) {
+      return { error: 'GitHub files not available. Run GitHub crawler first.' };
     }
 
+    const results = index.search(query).map(({ document: file, score, matchedTerms }) => {
+      // Boost score for important file types
+      let boost = FILE_TYPE_BOOSTS[file.fileType] || 0;
+      if (file.fileType === 'example' && file.path.toLowerCase().endsWith('.html')) boost = 4;
+
+      return {
+        file: file.path,
+        repository: file.repository,
+        url: file.url,
+        resourceUri: githubResourceUri(file.repository, file.path),
+        score: Math.round(score * (1 + boost / 10) * 1000) / 1000,
+        fileType: file.fileType,
+        codeSnippet: this.getSnippet(file.content, this.pickSnippetTerm(file.content, query, matchedTerms), 300)
+      };
+    });
+
     results.sort((a, b) => b.score - a.score);
     
     return {
@@ -286,6 +537,14 @@ export class SearchEngine {
     };
   }
 
+  // Prefer the whole query as the snippet anchor, falling back to the first
+  // matched term that actually occurs in the text
+  pickSnippetTerm(content, query, matchedTerms = []) {
+    const contentLower = content.toLowerCase();
+    if (contentLower.includes(query.toLowerCase())) return query;
+    return matchedTerms.find(term => contentLower.includes(term)) || query;
+  }
+
   // Get a snippet of text around the query
   getSnippet(content, query, contextLength = 150) {
     const index = content.toLowerCase().indexOf(query.toLowerCase());
@@ -0,0 +1,271 @@
+import fs from 'fs/promises';
+import { writeFileAtomic } from './atomic-write.js';
+
+// =============================================================================
+// BM25 INVERTED INDEX
+// =============================================================================
+// A small tokenized inverted index scored with BM25F: term frequencies are
+// length-normalized per field, weighted, summed, and then saturated once.
+
+// Bump whenever tokenization or the serialized layout changes; indexes with a
+// different version are ignored and rebuilt from the raw crawl data.
+export const INDEX_VERSION = 2;
+
+// Index files written next to the raw data they were built from
+export const INDEX_FILES = {
+  docs: { raw: 'onyx-docs.json', index: 'onyx-docs.index.json' },
+  githubFiles: { raw: 'github/onyx-code.json', index: 'github/onyx-code.index.json' }
+};
+
+// Field weights used when ranking documentation pages
+export const DEFAULT_FIELD_WEIGHTS = {
+  title: 3,
+  headings: 2,
+  body: 1,
+  code: 1.5
+};
+
+// Field weights used when ranking crawled GitHub files
+export const GITHUB_FIELD_WEIGHTS = {
+  path: 3,
+  repository: 2,
+  body: 1
+};
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how',
+  'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was',
+  'what', 'when', 'where', 'which', 'with'
+]);
+
+// Fold simple plurals so "allocators" and "allocator" share a term
+function normalizeTerm(word) {
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+// Split text into lowercase terms. Identifiers such as `string_builder` are
+// kept whole and also split into their parts so either spelling matches.
+export function tokenize(text) {
+  if (!text) return [];
+
+  const terms = [];
+  const words = String(text).toLowerCase().match(/[a-z0-9_]+/g) || [];
+
+  for (const word of words) {
+    if (word.length < 2 || STOP_WORDS.has(word)) continue;
+    terms.push(normalizeTerm(word));
+
+    if (word.includes('_')) {
+      for (const part of word.split('_')) {
+        if (part.length >= 2 && !STOP_WORDS.has(part)) {
+          terms.push(normalizeTerm(part));
+        }
+      }
+    }
+  }
+
+  return terms;
+}
+
+export class SearchIndex {
+  constructor(options = {}) {
+    this.fieldWeights = options.fields || DEFAULT_FIELD_WEIGHTS;
+    this.fields = Object.keys(this.fieldWeights);
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+
+    this.documents = [];
+    this.fieldLengths = [];
+    this.totalFieldLengths = Object.fromEntries(this.fields.map(f => [f, 0]));
+    // term -> [[docId, tf(field 0), tf(field 1), ...], ...]
+    this.postings = new Map();
+  }
+
+  get size() {
+    return this.documents.length;
+  }
+
+  // Add a document. `fieldText` maps field names to text; `stored` is
+  // returned untouched with every hit for this document.
+  addDocument(fieldText, stored) {
+    const docId = this.documents.length;
+    const termFrequencies = new Map();
+    const lengths = [];
+
+    this.fields.forEach((field, fieldIndex) => {
+      const terms = tokenize(fieldText[field]);
+      lengths.push(terms.length);
+      this.totalFieldLengths[field] += terms.length;
+
+      for (const term of terms) {
+        if (!termFrequencies.has(term)) {
+          termFrequencies.set(term, new Array(this.fields.length).fill(0));
+        }
+        termFrequencies.get(term)[fieldIndex]++;
+      }
+    });
+
+    for (const [term, frequencies] of termFrequencies) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, []);
+      }
+      this.postings.get(term).push([docId, ...frequencies]);
+    }
+
+    this.documents.push(stored);
+    this.fieldLengths.push(lengths);
+    return docId;
+  }
+
+  // Rank documents against a free-text query. Returns every matching
+  // document sorted by descending score.
+  search(query) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const docCount = this.documents.length;
+    if (queryTerms.length === 0 || docCount === 0) return [];
+
+    const averageLengths = this.fields.map(f => (this.totalFieldLengths[f] / docCount) || 1);
+    const scores = new Map();
+
+    for (const term of queryTerms) {
+      const postings = this.postings.get(term);
+      if (!postings) continue;
+
+      const idf = Math.log(1 + (docCount - postings.length + 0.5) / (postings.length + 0.5));
+
+      for (const [docId, ...frequencies] of postings) {
+        let weightedTf = 0;
+        frequencies.forEach((tf, fieldIndex) => {
+          if (tf === 0) return;
+          const field = this.fields[fieldIndex];
+          const lengthRatio = this.fieldLengths[docId][fieldIndex] / averageLengths[fieldIndex];
+          weightedTf += this.fieldWeights[field] * tf / (1 - this.b + this.b * lengthRatio);
+        });
+
+        const termScore = idf * weightedTf / (this.k1 + weightedTf);
+        const entry = scores.get(docId) || { score: 0, terms: [] };
+        entry.score += termScore;
+        entry.terms.push(term);
+        scores.set(docId, entry);
+      }
+    }
+
+    return [...scores.entries()]
+      .map(([docId, { score, terms }]) => ({
+        document: this.documents[docId],
+        score: Math.round(score * 1000) / 1000,
+        matchedTerms: terms
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  toJSON() {
+    return {
+      version: INDEX_VERSION,
+      builtAt: new Date().toISOString(),
+      fields: this.fieldWeights,
+      k1: this.k1,
+      b: this.b,
+      documents: this.documents,
+      fieldLengths: this.fieldLengths,
+      totalFieldLengths: this.totalFieldLengths,
+      postings: Object.fromEntries(this.postings)
+    };
+  }
+
+  static fromJSON(data) {
+    if (!data || data.version !== INDEX_VERSION) {
+      return null;
+    }
+
+    const index = new SearchIndex({ fields: data.fields, k1: data.k1, b: data.b });
+    index.documents = data.documents;
+    index.fieldLengths = data.fieldLengths;
+    index.totalFieldLengths = data.totalFieldLengths;
+    index.postings = new Map(Object.entries(data.postings));
+    return index;
+  }
+}
+
+// Sections of a crawled page. Pages crawled before sections were extracted
+// are treated as a single section covering the whole page.
+export function getDocSections(doc) {
+  if (doc.sections && doc.sections.length > 0) {
+    return doc.sections;
+  }
+
+  return [{
+    id: null,
+    heading: doc.title,
+    level: 1,
+    url: doc.url,
+    content: doc.content,
+    codeExamples: doc.codeExamples || []
+  }];
+}
+
+// Build the documentation index from onyx-docs.json. Every heading-level
+// section is its own search document with a deep link to its anchor.
+export function buildDocsIndex(docs) {
+  const index = new SearchIndex({ fields: DEFAULT_FIELD_WEIGHTS });
+
+  for (const doc of docs) {
+    for (const section of getDocSections(doc)) {
+      index.addDocument({
+        title: doc.title,
+        headings: section.heading,
+        body: section.content,
+        code: section.codeExamples.map(example => example.code).join('\n')
+      }, {
+        title: doc.title,
+        section: section.heading,
+        url: section.url,
+        pageUrl: doc.url,
+        content: section.content,
+        codeExamples: section.codeExamples
+      });
+    }
+  }
+
+  return index;
+}
+
+// Build the GitHub file index from the files in github/onyx-code.json
+export function buildGitHubFilesIndex(files) {
+  const index = new SearchIndex({ fields: GITHUB_FIELD_WEIGHTS });
+
+  for (const file of files) {
+    const content = file.content || file.code || '';
+    index.addDocument({
+      path: file.path,
+      repository: file.repository,
+      body: content
+    }, {
+      path: file.path,
+      repository: file.repository,
+      url: file.url,
+      fileType: file.fileType || 'unknown',
+      content
+    });
+  }
+
+  return index;
+}
+
+export async function saveIndex(index, filePath) {
+  await writeFileAtomic(filePath, JSON.stringify(index));
+}
+
+// Load a persisted index, returning null when it is missing or was written by
+// an incompatible version
+export async function loadIndex(filePath) {
+  try {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    return SearchIndex.fromJSON(data);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,130 @@
+import { randomUUID } from 'crypto';
+
+// =============================================================================
+// REPL SESSIONS
+// =============================================================================
+// Sessions accumulate Onyx source across tool calls: top-level declarations
+// and statements of a `main` body. The whole program is rerun on every
+// change, so each session keeps the output of its last run to report only
+// what the newest snippet printed. Idle sessions expire and their sandbox
+// directories are removed.
+//
+// Environment:
+//   ONYX_MCP_SESSION_IDLE_SECONDS  idle time before a session expires (default 900)
+//   ONYX_MCP_MAX_SESSIONS          open sessions at once (default 20)
+
+export const SESSION_FILENAME = 'session.onyx';
+
+export const SNIPPET_KINDS = ['declaration', 'main'];
+
+export function getSessionConfig(env = process.env) {
+  return {
+    idleSeconds: parseInt(env.ONYX_MCP_SESSION_IDLE_SECONDS) || 900,
+    maxSessions: parseInt(env.ONYX_MCP_MAX_SESSIONS) || 20
+  };
+}
+
+// Program text of a session: declarations in order, then `main` with the
+// accumulated statements
+export function buildSessionSource(session) {
+  const main = session.mainBody.length > 0
+    ? session.mainBody.map(snippet => indent(snippet)).join('\n\n')
+    : '';
+
+  return [
+    ...session.declarations.map(snippet => `${snippet.trim()}\n`),
+    `main :: () {\n${main}${main ? '\n' : ''}}\n`
+  ].join('\n');
+}
+
+function indent(code) {
+  return code.trim().split('\n').map(line => line ? `    ${line}` : line).join('\n');
+}
+
+// What a run printed beyond the previous run; when earlier output changed,
+// everything is new
+export function newOutput(previous, current) {
+  return current.startsWith(previous)
+    ? { output: current.slice(previous.length), outputReset: false }
+    : { output: current, outputReset: previous.length > 0 };
+}
+
+export class SessionManager {
+  // `onExpire(session)` cleans up after a session that is closed or expired
+  constructor(config = getSessionConfig(), onExpire = async () => {}) {
+    this.config = config;
+    this.onExpire = onExpire;
+    this.sessions = new Map();
+    this.sweepTimer = null;
+  }
+
+  async create(workDir) {
+    await this.expireIdle();
+    if (this.sessions.size >= this.config.maxSessions) {
+      throw new Error(`Too many open sessions (maximum ${this.config.maxSessions}); close one with close_session first`);
+    }
+
+    const session = {
+      id: randomUUID(),
+      workDir,
+      declarations: [],
+      mainBody: [],
+      lastStdout: '',
+      createdAt: Date.now(),
+      lastUsed: Date.now()
+    };
+    this.sessions.set(session.id, session);
+    this.startSweeping();
+    return session;
+  }
+
+  // The open session with this id, which counts as activity
+  async get(sessionId) {
+    await this.expireIdle();
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error(`Unknown or expired session: ${sessionId}`);
+    }
+    session.lastUsed = Date.now();
+    return session;
+  }
+
+  async close(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return false;
+
+    this.sessions.delete(sessionId);
+    if (this.sessions.size === 0) this.stopSweeping();
+    await this.onExpire(session);
+    return true;
+  }
+
+  async closeAll() {
+    for (const sessionId of [...this.sessions.keys()]) {
+      await this.close(sessionId);
+    }
+  }
+
+  async expireIdle(now = Date.now()) {
+    const cutoff = now - this.config.idleSeconds * 1000;
+    for (const session of [...this.sessions.values()]) {
+      if (session.lastUsed < cutoff) {
+        await this.close(session.id);
+      }
+    }
+  }
+
+  // Expire sessions even when no further calls arrive; the timer does not
+  // keep the process alive
+  startSweeping() {
+    if (this.sweepTimer) return;
+    const interval = Math.min(this.config.idleSeconds, 60) * 1000;
+    this.sweepTimer = setInterval(() => this.expireIdle().catch(() => {}), interval);
+    this.sweepTimer.unref();
+  }
+
+  stopSweeping() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+}
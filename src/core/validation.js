@@ -0,0 +1,135 @@
+// =============================================================================
+// TOOL ARGUMENT VALIDATION
+// =============================================================================
+// Checks tool arguments against the tool's `inputSchema` before dispatch, for
+// every transport. Supports the subset of JSON Schema the tool definitions
+// use: type, enum, required, default, items, properties and
+// additionalProperties. Missing (or null) optional arguments get their
+// default. With `coerce`, strings from a query string are converted to the
+// declared number, boolean or array type first.
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'string') return `"${value.length > 40 ? value.slice(0, 40) + '...' : value}"`;
+  if (typeof value === 'object') return 'an object';
+  return String(value);
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+// Convert a query-string value to the schema's type; values that do not
+// convert are returned unchanged and fail validation
+function coerceValue(schema, value) {
+  if (typeof value !== 'string') {
+    return schema.type === 'array' && Array.isArray(value) && schema.items
+      ? value.map(item => coerceValue(schema.items, item))
+      : value;
+  }
+
+  switch (schema.type) {
+    case 'number':
+    case 'integer':
+      return value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'array':
+      return value === '' ? [] : value.split(',').map(item => coerceValue(schema.items || {}, item.trim()));
+    default:
+      return value;
+  }
+}
+
+function validateValue(schema, value, field, errors, options) {
+  if (options.coerce) {
+    value = coerceValue(schema, value);
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    const article = /^[aeiou]/.test(schema.type) ? 'an' : 'a';
+    errors.push({ field, message: `must be ${article} ${schema.type} (got ${describe(value)})` });
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')} (got ${describe(value)})` });
+    return value;
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    return value.map((item, index) => validateValue(schema.items, item, `${field}[${index}]`, errors, options));
+  }
+
+  if (schema.type === 'object') {
+    return validateObject(schema, value, field, errors, options);
+  }
+
+  return value;
+}
+
+function validateObject(schema, value, prefix, errors, options) {
+  const properties = schema.properties || {};
+  const result = { ...value };
+
+  for (const [name, propertySchema] of Object.entries(properties)) {
+    const field = prefix ? `${prefix}.${name}` : name;
+    const provided = value[name] !== undefined && value[name] !== null;
+
+    if (!provided) {
+      if (schema.required?.includes(name)) {
+        errors.push({ field, message: 'is required' });
+      } else if (propertySchema.default !== undefined) {
+        result[name] = structuredClone(propertySchema.default);
+      } else {
+        delete result[name];
+      }
+      continue;
+    }
+
+    result[name] = validateValue(propertySchema, value[name], field, errors, options);
+  }
+
+  // Map-like objects (such as `files` and `env`) validate every value
+  if (typeof schema.additionalProperties === 'object') {
+    for (const [name, item] of Object.entries(value)) {
+      if (name in properties) continue;
+      const field = prefix ? `${prefix}.${name}` : name;
+      result[name] = validateValue(schema.additionalProperties, item, field, errors, options);
+    }
+  }
+
+  return result;
+}
+
+// Validate `args` against an input schema. Returns the arguments with
+// defaults applied (and coerced, with `coerce`) and the field-level errors.
+export function validateArguments(inputSchema, args, options = {}) {
+  const errors = [];
+
+  if (!matchesType('object', args ?? {})) {
+    return { value: args, errors: [{ field: '', message: `arguments must be an object (got ${describe(args)})` }] };
+  }
+
+  const value = validateObject(inputSchema || {}, args ?? {}, '', errors, options);
+  return { value, errors };
+}
+
+// Tool result for arguments that failed validation, the same for every
+// transport
+export function invalidArgumentsResult(toolName, errors) {
+  return {
+    success: false,
+    error: `Invalid arguments for ${toolName}: ${errors.map(({ field, message }) => field ? `${field} ${message}` : message).join('; ')}`,
+    validationErrors: errors
+  };
+}
@@ -0,0 +1,119 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// =============================================================================
+// WORKSPACE ROOTS
+// =============================================================================
+// Directory and file arguments of the build/run tools must stay inside the
+// configured workspace roots. Paths are canonicalized with realpath before
+// the check, so `..` segments and symlinks pointing outside are rejected.
+//
+// Environment:
+//   ONYX_MCP_WORKSPACE_ROOTS  Allowed roots, separated by the platform path
+//                            delimiter (":" on Linux/macOS). Defaults to
+//                            data/workspace, created on first use, rather than
+//                            the working directory, which may be / or $HOME.
+//                            Relative tool paths resolve against the first root.
+
+export const DEFAULT_WORKSPACE_ROOT = path.resolve(__dirname, '../../data/workspace');
+
+export function getWorkspaceRoots(env = process.env) {
+  const configured = (env.ONYX_MCP_WORKSPACE_ROOTS || '')
+    .split(path.delimiter)
+    .map(root => root.trim())
+    .filter(Boolean);
+
+  return configured.length > 0 ? configured.map(root => path.resolve(root)) : [DEFAULT_WORKSPACE_ROOT];
+}
+
+// Whether `target` is `root` itself or somewhere below it
+function isWithin(root, target) {
+  const relative = path.relative(root, target);
+  return relative === '' || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+export class Workspace {
+  constructor(roots = getWorkspaceRoots()) {
+    this.roots = roots;
+    this.realRootsPromise = null;
+  }
+
+  // Canonical roots; the default root is created, configured roots that do
+  // not exist are dropped
+  async getRealRoots() {
+    if (!this.realRootsPromise) {
+      this.realRootsPromise = Promise.all(this.roots.map(async (root) => {
+        if (root === DEFAULT_WORKSPACE_ROOT) {
+          await fs.mkdir(root, { recursive: true });
+        }
+        return await fs.realpath(root).catch(() => null);
+      })).then(roots => roots.filter(Boolean));
+    }
+    return this.realRootsPromise;
+  }
+
+  async assertInside(realPath, requestedPath) {
+    const roots = await this.getRealRoots();
+    if (!roots.some(root => isWithin(root, realPath))) {
+      throw new Error(`Path "${requestedPath}" is outside the allowed workspace (${this.roots.join(', ')})`);
+    }
+    return realPath;
+  }
+
+  // Canonical path of an existing directory inside the workspace
+  async resolveDirectory(directory = '.') {
+    await this.getRealRoots();
+    const requested = path.resolve(this.roots[0], directory);
+
+    let realPath;
+    try {
+      realPath = await fs.realpath(requested);
+    } catch {
+      throw new Error(`Directory does not exist: ${requested}`);
+    }
+
+    await this.assertInside(realPath, directory);
+
+    const stat = await fs.stat(realPath);
+    if (!stat.isDirectory()) {
+      throw new Error(`Not a directory: ${requested}`);
+    }
+    return realPath;
+  }
+
+  // Canonical path of a file inside the workspace, relative to `baseDir`.
+  // With `mustExist: false` the file may be missing, but its parent directory
+  // must exist; an existing file (or symlink) is still resolved and checked.
+  async resolveFile(baseDir, filePath, options = {}) {
+    const { mustExist = true } = options;
+    const requested = path.resolve(baseDir, filePath);
+
+    try {
+      return await this.assertInside(await fs.realpath(requested), filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (mustExist) {
+      throw new Error(`File does not exist: ${requested}`);
+    }
+
+    // A dangling symlink would be followed by the write
+    const link = await fs.lstat(requested).catch(() => null);
+    if (link?.isSymbolicLink()) {
+      throw new Error(`Path "${filePath}" is a symbolic link to a missing target`);
+    }
+
+    let parent;
+    try {
+      parent = await fs.realpath(path.dirname(requested));
+    } catch {
+      throw new Error(`Directory does not exist: ${path.dirname(requested)}`);
+    }
+    await this.assertInside(parent, filePath);
+    return path.join(parent, path.basename(requested));
+  }
+}
@@ -3,6 +3,8 @@ import * as cheerio from 'cheerio';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { writeFileAtomic } from '../core/atomic-write.js';
+import { INDEX_FILES, buildDocsIndex, saveIndex } from '../core/search-index.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -24,10 +26,26 @@ const CRAWL_DELAY = 2000; // Increased to 2 seconds to avoid rate limiting
 const MAX_PAGES = 500;
 const RECRAWL_THRESHOLD_DAYS = 7;
 
+// Classify an API reference signature such as `split :: (s: str) -> [] str`
+// or a bare `struct { ... }` by the declaration that follows `::`
+export function inferSymbolKind(signature) {
+  const body = signature.replace(/^[\w.$]+\s*::\s*/, '').trim();
+
+  if (/^struct\b/.test(body)) return 'struct';
+  if (/^enum\b/.test(body)) return 'enum';
+  if (/^union\b/.test(body)) return 'union';
+  if (/^interface\b/.test(body)) return 'interface';
+  if (/^macro\b/.test(body)) return 'macro';
+  if (/^(#match|match)\b/.test(body)) return 'overload';
+  if (/^(\(|#foreign\b|#intrinsic\b)/.test(body) || body.includes('->')) return 'proc';
+  return 'value';
+}
+
 export class DocumentationCrawler {
   constructor(options = {}) {
     this.visited = new Set();
     this.docs = [];
+    this.symbols = [];
     this.linkQueue = [];
     this.debugMode = true;
     this.forceRecrawl = options.force || false;
@@ -209,6 +227,13 @@ export class DocumentationCrawler {
     } else {
       this.debug(`⚠️  No content extracted from: ${url}`);
     }
+
+    // Package reference pages also yield structured symbol records
+    if (new URL(url).pathname.startsWith('/packages/')) {
+      const symbols = this.extractPackageSymbols($, url);
+      this.symbols.push(...symbols);
+      this.debug(`✓ Extracted ${symbols.length} API symbols`);
+    }
     
     // Add new links to queue
     let newLinksAdded = 0;
@@ -226,10 +251,7 @@ export class DocumentationCrawler {
     this.debug(`Added ${newLinksAdded} new links to queue (total queue: ${this.linkQueue.length})`);
   }
 
-  extractContent($, url) {
-    // Remove navigation, footer, sidebar elements
-    $('footer, .navigation, .toc, script, style, nav').remove();
-    
+  findContentArea($) {
     // Extract main content - look for the main content area
     let content = $('#content main, main, .content, .documentation, article, .docs-content, .markdown-body').first();
     
@@ -238,6 +260,15 @@ export class DocumentationCrawler {
       content = $('body');
       content.find('#sidebar, .sidebar, nav').remove();
     }
+
+    return content;
+  }
+
+  extractContent($, url) {
+    // Remove navigation, footer, sidebar elements
+    $('footer, .navigation, .toc, script, style, nav').remove();
+    
+    const content = this.findContentArea($);
     
     // Extract metadata
     const title = $('h1').first().text().trim() || 
@@ -276,18 +307,153 @@ export class DocumentationCrawler {
       .replace(/\n+/g, '\n')
       .trim();
     
-    this.debug(`Extracted: title="${title}", headings=${headings.length}, code=${codeExamples.length}, content=${cleanContent.length} chars`);
+    // Split the page into sections keyed by heading id for precise search hits
+    const sections = this.extractSections($, content, url, title);
+    
+    this.debug(`Extracted: title="${title}", headings=${headings.length}, sections=${sections.length}, code=${codeExamples.length}, content=${cleanContent.length} chars`);
     
     return {
       url,
       title,
       content: cleanContent,
       headings,
+      sections,
       codeExamples,
       crawledAt: new Date().toISOString()
     };
   }
 
+  // Walk the content in document order, starting a new section at every
+  // heading. Text before the first heading belongs to an untitled lead section.
+  extractSections($, content, url, title) {
+    const sections = [];
+    let current = { id: null, heading: title, level: 1, text: [], codeExamples: [] };
+
+    const flush = () => {
+      const text = current.text.join(' ').replace(/\s+/g, ' ').trim();
+      if (text || current.codeExamples.length > 0) {
+        sections.push({
+          id: current.id,
+          heading: current.heading,
+          level: current.level,
+          url: current.id ? `${url}#${current.id}` : url,
+          content: text,
+          codeExamples: current.codeExamples
+        });
+      }
+    };
+
+    const walk = (parent) => {
+      $(parent).contents().each((i, node) => {
+        if (node.type === 'text') {
+          current.text.push($(node).text());
+          return;
+        }
+        if (node.type !== 'tag') return;
+
+        const el = $(node);
+        const tag = node.tagName.toLowerCase();
+
+        if (/^h[1-6]$/.test(tag)) {
+          flush();
+          current = {
+            id: el.attr('id') || null,
+            heading: el.text().trim(),
+            level: parseInt(tag.charAt(1)),
+            text: [],
+            codeExamples: []
+          };
+          return;
+        }
+
+        if (tag === 'pre') {
+          const code = el.text().trim();
+          current.text.push(code);
+          if (code.length > 10) {
+            const codeEl = el.find('code').first();
+            current.codeExamples.push({
+              code,
+              language: this.detectLanguage(codeEl.length ? codeEl : el)
+            });
+          }
+          return;
+        }
+
+        // Descend into wrappers that contain headings or code blocks so they
+        // are split at the right place; everything else is plain text
+        if (el.find('h1, h2, h3, h4, h5, h6, pre').length > 0) {
+          walk(node);
+        } else {
+          current.text.push(el.text());
+        }
+      });
+    };
+
+    walk(content);
+    flush();
+
+    return sections;
+  }
+
+  // Turn an API reference page (e.g. packages/core.string.html) into one
+  // record per documented symbol. Each symbol starts at a heading naming it;
+  // the first code block after it is the signature and prose is its doc.
+  extractPackageSymbols($, url) {
+    const content = this.findContentArea($);
+    const pageName = path.basename(new URL(url).pathname, '.html');
+    const packageName = pageName === 'index' ? null : pageName;
+    const symbols = [];
+
+    content.find('h2, h3, h4').each((i, el) => {
+      const heading = $(el);
+      const name = heading.clone().find('a.header-link, .anchor, .source').remove().end()
+        .text().replace(/[#¶]/g, '').trim();
+      if (!/^[\w$.]+$/.test(name)) return;
+
+      // Headings are sometimes wrapped together with a source link; the
+      // symbol body then follows the wrapper instead of the heading itself
+      const hasCode = (elements) => elements.is('pre, code') || elements.find('pre, code').length > 0;
+      let block = heading.nextUntil('h1, h2, h3, h4');
+      let container = heading;
+      if (!hasCode(block) && !heading.parent().is(content)) {
+        container = heading.parent();
+        block = container.nextUntil('h1, h2, h3, h4, :has(h2), :has(h3), :has(h4)');
+      }
+
+      const codeBlocks = block.find('pre, code').add(block.filter('pre'))
+        .map((j, codeEl) => $(codeEl).text().trim()).get()
+        .filter(Boolean);
+      const signature = codeBlocks.find(code => code.includes('::')) || codeBlocks[0];
+      if (!signature) return;
+
+      const doc = block.filter('p, blockquote, ul, ol').add(block.find('p'))
+        .map((j, docEl) => $(docEl).text().replace(/\s+/g, ' ').trim()).get()
+        .filter(text => text && !signature.includes(text))
+        .join('\n');
+
+      const sourceLink = container.find('a[href]').add(block.find('a[href]')).add(block.filter('a[href]'))
+        .filter((j, linkEl) => {
+          const href = $(linkEl).attr('href') || '';
+          return href.includes('github.com') || /source/i.test($(linkEl).text());
+        }).first().attr('href');
+
+      const id = heading.attr('id') || container.attr('id') || null;
+
+      symbols.push({
+        package: packageName,
+        name,
+        qualifiedName: packageName && !name.startsWith(`${packageName}.`) ? `${packageName}.${name}` : name,
+        kind: inferSymbolKind(signature),
+        signature,
+        doc,
+        sourceUrl: sourceLink ? new URL(sourceLink, url).href : null,
+        url: id ? `${url}#${id}` : url
+      });
+    });
+
+    return symbols;
+  }
+
   findDocLinks($, currentUrl) {
     const links = new Set();
     
@@ -422,7 +588,7 @@ export class DocumentationCrawler {
 
   async saveDocs() {
     const outputPath = path.join(OUTPUT_DIR, 'onyx-docs.json');
-    await fs.writeFile(outputPath, JSON.stringify(this.docs, null, 2));
+    await writeFileAtomic(outputPath, JSON.stringify(this.docs, null, 2));
     
     // Also save a simplified version for quick searching
     const simplified = this.docs.map(doc => ({
@@ -430,13 +596,24 @@ export class DocumentationCrawler {
       title: doc.title,
       content: doc.content.substring(0, 500) + (doc.content.length > 500 ? '...' : ''),
       headings: doc.headings.map(h => h.text),
+      sectionCount: doc.sections.length,
       codeCount: doc.codeExamples.length
     }));
     
-    await fs.writeFile(
+    await writeFileAtomic(
       path.join(OUTPUT_DIR, 'onyx-docs-index.json'), 
       JSON.stringify(simplified, null, 2)
     );
+
+    // Save API reference symbols for exact signature lookups
+    await writeFileAtomic(
+      path.join(OUTPUT_DIR, 'onyx-symbols.json'),
+      JSON.stringify(this.symbols, null, 2)
+    );
+
+    // Prebuild the search index so servers don't tokenize every page on startup
+    const searchIndex = buildDocsIndex(this.docs);
+    await saveIndex(searchIndex, path.join(OUTPUT_DIR, INDEX_FILES.docs.index));
     
     // Generate detailed stats
     const uniqueDomains = [...new Set(this.docs.map(doc => new URL(doc.url).hostname))];
@@ -450,6 +627,8 @@ export class DocumentationCrawler {
     
     const stats = {
       totalDocs: this.docs.length,
+      totalSections: this.docs.reduce((sum, doc) => sum + doc.sections.length, 0),
+      totalSymbols: this.symbols.length,
       totalCodeExamples: this.docs.reduce((sum, doc) => sum + doc.codeExamples.length, 0),
       urlsCrawled: this.visited.size,
       uniqueDomains: uniqueDomains.length,
@@ -461,7 +640,7 @@ export class DocumentationCrawler {
       docsWithoutContent: this.docs.filter(doc => !doc.content.trim()).length
     };
     
-    await fs.writeFile(
+    await writeFileAtomic(
       path.join(OUTPUT_DIR, 'crawl-stats.json'), 
       JSON.stringify(stats, null, 2)
     );
@@ -1,9 +1,26 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { writeFileAtomic } from '../core/atomic-write.js';
+import { INDEX_FILES, buildGitHubFilesIndex, saveIndex } from '../core/search-index.js';
+import { parseOnyxDeclarations } from '../core/onyx-parser.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Repository name prefix for sources crawled from local directories
+export const LOCAL_REPOSITORY_PREFIX = 'local:';
+
+// Which analysis.patterns list each parsed declaration kind is stored in
+const DECLARATION_PATTERNS = {
+  proc: 'functions',
+  struct: 'structs',
+  union: 'unions',
+  enum: 'enums',
+  interface: 'interfaces',
+  macro: 'macros',
+  overload: 'overloads'
+};
+
 // Default Onyx repositories to crawl
 const DEFAULT_ONYX_REPOSITORIES = [
   'onyx-lang/onyx',
@@ -31,7 +48,7 @@ const DEFAULT_ONYX_REPOSITORIES = [
 ];
 
 export async function crawlGitHub(repositoryUrls = null, options = {}) {
-  const { limit = 20 } = options;
+  const { limit = 20, full = false } = options;
   
   // Use provided repositories or defaults
   const reposToUse = repositoryUrls && repositoryUrls.length > 0 ? 
@@ -41,7 +58,8 @@ export async function crawlGitHub(repositoryUrls = null, options = {}) {
     outputDir: path.join(__dirname, '../../data/github'),
     debug: true,
     maxFilesPerRepo: 50,
-    maxFileSize: 100000
+    maxFileSize: 100000,
+    incremental: !full
   });
 
   return await crawler.crawlAllRepositories(limit, reposToUse);
@@ -53,6 +71,22 @@ class GitHubCrawler {
     this.debugMode = options.debug || true;
     this.maxFilesPerRepo = options.maxFilesPerRepo || 100;
     this.maxFileSize = options.maxFileSize || 50000; // 50KB max per file
+    this.incremental = options.incremental !== false;
+    
+    // Incremental crawl state: last commit/tree SHAs, ETags and blob SHAs per repo
+    this.statePath = path.join(this.outputDir, 'crawl-state.json');
+    this.previousState = { repositories: {} };
+    this.previousFiles = new Map();
+    this.previousRepos = new Map();
+    this.crawlState = { version: 1, repositories: {} };
+    this.changes = { unchanged: [], updated: [], failed: [] };
+    this.repoEtags = {};
+    
+    // Rate limit handling
+    this.maxRetries = options.maxRetries ?? 3;
+    this.maxRateLimitWait = options.maxRateLimitWait ?? 15 * 60 * 1000;
+    this.rateLimit = { remaining: null, resetAt: null, retries: 0 };
+    this.skipped = [];
     
     // GitHub API setup (works without token but has lower rate limits)
     this.apiBase = 'https://api.github.com';
@@ -131,17 +165,170 @@ class GitHubCrawler {
     return repositories;
   }
 
+  // Pause between retries and while the rate limit resets
+  async sleep(ms) {
+    await new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Record the rate limit GitHub reported on the last response
+  updateRateLimit(headers) {
+    const remaining = headers.get('x-ratelimit-remaining');
+    const reset = headers.get('x-ratelimit-reset');
+    if (remaining !== null) this.rateLimit.remaining = parseInt(remaining);
+    if (reset !== null) this.rateLimit.resetAt = parseInt(reset) * 1000;
+  }
+
+  // How long to wait before retrying a failed response, or null when the
+  // failure is not worth retrying. `message` is the error message from the
+  // response body, which is where GitHub explains a 403.
+  getRetryDelay(response, attempt, message = '') {
+    // Retry-After is either a number of seconds or an HTTP date
+    const retryAfter = response.headers.get('retry-after');
+    if (retryAfter !== null) {
+      const delay = /^\d+$/.test(retryAfter.trim())
+        ? parseInt(retryAfter) * 1000
+        : Date.parse(retryAfter) - Date.now();
+      return Number.isNaN(delay) ? 1000 * 2 ** attempt : Math.max(delay, 0);
+    }
+
+    if (response.status === 403 || response.status === 429) {
+      // Primary rate limit: wait for the window to reset
+      if (response.headers.get('x-ratelimit-remaining') === '0' && this.rateLimit.resetAt) {
+        return Math.max(this.rateLimit.resetAt - Date.now(), 0) + 1000;
+      }
+      // Secondary rate limits without Retry-After ask for at least a minute.
+      // Their status text is just "Forbidden" (or empty over HTTP/2).
+      if (response.status === 429 || /rate limit/i.test(message) || /rate limit/i.test(response.statusText)) {
+        return 60000 * (attempt + 1);
+      }
+      return null;
+    }
+
+    if (response.status >= 500) {
+      return 1000 * 2 ** attempt;
+    }
+
+    return null;
+  }
+
+  // Fetch from the GitHub API, pausing when the rate limit is exhausted and
+  // backing off on rate limit responses, server errors and network errors
+  async requestGitHub(url, headers = this.headers) {
+    for (let attempt = 0; ; attempt++) {
+      // Don't spend a request we know will be rejected
+      if (this.rateLimit.remaining === 0 && this.rateLimit.resetAt > Date.now()) {
+        const wait = this.rateLimit.resetAt - Date.now() + 1000;
+        if (wait > this.maxRateLimitWait) {
+          throw new Error(`GitHub rate limit exhausted until ${new Date(this.rateLimit.resetAt).toISOString()}`);
+        }
+        console.log(`⏳ GitHub rate limit exhausted, pausing ${Math.ceil(wait / 1000)}s until reset...`);
+        await this.sleep(wait);
+        this.rateLimit.remaining = null;
+      }
+
+      let response;
+      try {
+        response = await fetch(url, { headers });
+      } catch (error) {
+        if (attempt >= this.maxRetries) throw error;
+        this.debug(`Network error for ${url}, retrying:`, error.message);
+        await this.sleep(1000 * 2 ** attempt);
+        continue;
+      }
+
+      this.updateRateLimit(response.headers);
+      if (response.ok || response.status === 304) {
+        return response;
+      }
+
+      const message = await this.readErrorMessage(response);
+      const delay = this.getRetryDelay(response, attempt, message);
+      if (delay === null || attempt >= this.maxRetries || delay > this.maxRateLimitWait) {
+        throw new Error(`GitHub API error: ${response.status} ${response.statusText}${message ? ` (${message})` : ''}`);
+      }
+
+      console.log(`⏳ GitHub responded ${response.status}, retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1}/${this.maxRetries})`);
+      this.rateLimit.retries++;
+      await this.sleep(delay);
+      this.rateLimit.remaining = null;
+    }
+  }
+
+  // The `message` of a GitHub error body, or '' when there is none
+  async readErrorMessage(response) {
+    try {
+      const body = await response.json();
+      return typeof body?.message === 'string' ? body.message : '';
+    } catch {
+      return '';
+    }
+  }
+
   // Simple fetch wrapper for GitHub API
   async fetchFromGitHub(url) {
-    const response = await fetch(url, { headers: this.headers });
-    
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
-    }
-    
+    const response = await this.requestGitHub(url);
     return response.json();
   }
 
+  // Conditional GET: sends the stored ETag and reports 304 Not Modified
+  // responses instead of treating them as errors
+  async fetchConditional(url, etag = null) {
+    const headers = etag ? { ...this.headers, 'If-None-Match': etag } : this.headers;
+    const response = await this.requestGitHub(url, headers);
+
+    if (response.status === 304) {
+      return { notModified: true, etag };
+    }
+
+    return { notModified: false, etag: response.headers.get('etag'), data: await response.json() };
+  }
+
+  // Read the files and repositories saved by earlier crawls
+  async readExistingData() {
+    const read = async (name) => {
+      try {
+        return JSON.parse(await fs.readFile(path.join(this.outputDir, name), 'utf8'));
+      } catch {
+        return [];
+      }
+    };
+
+    return {
+      files: await read('onyx-code.json'),
+      repositories: await read('repositories.json')
+    };
+  }
+
+  // Load the state, files and repository details written by the previous crawl
+  async loadPreviousCrawl() {
+    if (!this.incremental) {
+      this.debug('Full crawl requested - ignoring previous crawl state');
+      return;
+    }
+
+    try {
+      this.previousState = JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+      this.crawlState.repositories = { ...this.previousState.repositories };
+
+      const { files, repositories } = await this.readExistingData();
+      for (const file of files) {
+        if (!this.previousFiles.has(file.repository)) {
+          this.previousFiles.set(file.repository, []);
+        }
+        this.previousFiles.get(file.repository).push(file);
+      }
+
+      repositories.forEach(repo => this.previousRepos.set(repo.fullName, repo));
+
+      this.debug(`Loaded previous crawl state for ${Object.keys(this.previousState.repositories).length} repositories`);
+    } catch (error) {
+      this.debug('No usable previous crawl state, crawling everything:', error.message);
+      this.previousState = { repositories: {} };
+      this.previousFiles.clear();
+      this.previousRepos.clear();
+    }
+  }
+
   // Get repositories from provided URLs
   async getRepositoriesFromUrls(urls, limit = 50) {
     this.debug(`Getting repository details from ${urls.length} provided URLs...`);
@@ -158,7 +345,17 @@ class GitHubCrawler {
         
         // Get detailed repository information from GitHub API
         const apiUrl = `${this.apiBase}/repos/${repoInfo.owner}/${repoInfo.name}`;
-        const repoData = await this.fetchFromGitHub(apiUrl);
+        const previousEtag = this.previousState.repositories[repoInfo.fullName]?.etags?.repo;
+        const response = await this.fetchConditional(apiUrl, previousEtag);
+
+        if (response.notModified && this.previousRepos.has(repoInfo.fullName)) {
+          this.debug(`✓ ${repoInfo.fullName} details unchanged since last crawl`);
+          repositories.push({ ...this.previousRepos.get(repoInfo.fullName), providedUrl: repoInfo.providedUrl });
+          continue;
+        }
+
+        const repoData = response.data;
+        this.repoEtags[repoInfo.fullName] = response.etag;
         
         // Check if repo exists and is accessible
         if (repoData && !repoData.message) {
@@ -232,66 +429,47 @@ class GitHubCrawler {
     this.debug(`Crawling repository: ${repo.fullName}`);
     
     const files = [];
+    const previous = this.previousState.repositories[repo.fullName];
+    const previousFiles = new Map((this.previousFiles.get(repo.fullName) || []).map(file => [file.path, file]));
+    const change = { repository: repo.fullName, added: [], modified: [], removed: [], reused: 0 };
     
     try {
+      // Resolve HEAD to a commit so every link is pinned to the tree we fetch
+      const commitResponse = await this.fetchConditional(
+        `${this.apiBase}/repos/${repo.owner}/${repo.name}/commits/HEAD`,
+        previous?.etags?.commit
+      );
+
+      // Unchanged HEAD: reuse everything from the previous crawl
+      const unchanged = commitResponse.notModified || commitResponse.data.sha === previous?.commitSha;
+      if (previous && unchanged && previousFiles.size > 0) {
+        repo.commitSha = previous.commitSha;
+        this.crawlState.repositories[repo.fullName] = {
+          ...previous,
+          etags: { ...previous.etags, repo: this.repoEtags[repo.fullName] || previous.etags?.repo }
+        };
+        this.changes.unchanged.push(repo.fullName);
+        this.debug(`⏭️  ${repo.fullName} unchanged at ${previous.commitSha}, reusing ${previousFiles.size} files`);
+        return [...previousFiles.values()];
+      }
+
+      // A 304 with nothing to reuse (e.g. every file failed last time)
+      // still needs the commit itself
+      const commit = commitResponse.notModified
+        ? await this.fetchFromGitHub(`${this.apiBase}/repos/${repo.owner}/${repo.name}/commits/HEAD`)
+        : commitResponse.data;
+      repo.commitSha = commit.sha;
+      this.debug(`Resolved ${repo.fullName} HEAD to ${commit.sha}`);
+
       // Get repository tree
-      const url = `${this.apiBase}/repos/${repo.owner}/${repo.name}/git/trees/HEAD?recursive=1`;
+      const url = `${this.apiBase}/repos/${repo.owner}/${repo.name}/git/trees/${commit.sha}?recursive=1`;
       const tree = await this.fetchFromGitHub(url);
+      const blobShas = {};
 
       // Filter for relevant files (expanded beyond just .onyx files)
-      const relevantFiles = tree.tree.filter(item => {
-        if (item.type !== 'blob') return false;
-        
-        const path = item.path.toLowerCase();
-        
-        // Always include these important files
-        if (path === 'readme.md' || 
-            path === 'readme.txt' || 
-            path === 'readme' ||
-            path === 'license' ||
-            path === 'license.md' ||
-            path === 'license.txt' ||
-            path === 'changelog.md' ||
-            path === 'changelog.txt') {
-          return true;
-        }
-        
-        // Include Onyx package and project files
-        if (path === 'onyx.pkg' || 
-            path.endsWith('.onyx.pkg') ||
-            path.endsWith('.kdl') ||  // KDL files for Onyx project management
-            path === 'package.json' ||
-            path === 'manifest.json') {
-          return true;
-        }
-        
-        // Include documentation files
-        if (path.includes('doc') && (path.endsWith('.md') || path.endsWith('.txt') || path.endsWith('.html'))) {
-          return true;
-        }
-        
-        // Include example files
-        if (path.includes('example') && (path.endsWith('.md') || path.endsWith('.onyx') || path.endsWith('.html'))) {
-          return true;
-        }
-        
-        // Include all .onyx source files
-        if (path.endsWith('.onyx')) {
-          return true;
-        }
-        
-        // Include HTML files (documentation, examples, web interfaces)
-        if (path.endsWith('.html')) {
-          return true;
-        }
-        
-        // Include configuration files that might have documentation
-        if (path.endsWith('.toml') || path.endsWith('.yaml') || path.endsWith('.yml')) {
-          return true;
-        }
-        
-        return false;
-      }).slice(0, this.maxFilesPerRepo);
+      const relevantFiles = tree.tree
+        .filter(item => item.type === 'blob' && this.isRelevantFile(item.path))
+        .slice(0, this.maxFilesPerRepo);
 
       this.debug(`Found ${relevantFiles.length} relevant files in ${repo.fullName}`);
       
@@ -315,6 +493,22 @@ class GitHubCrawler {
           // Skip large files
           if (file.size > this.maxFileSize) {
             this.debug(`Skipping large file: ${file.path} (${file.size} bytes)`);
+            this.skipped.push({ repository: repo.fullName, path: file.path, reason: `File too large (${file.size} bytes)` });
+            continue;
+          }
+
+          blobShas[file.path] = file.sha;
+
+          // Blob SHAs are content hashes, so a matching SHA means the file
+          // is byte-for-byte what we fetched last time
+          const previousFile = previousFiles.get(file.path);
+          if (previousFile && previous?.blobs?.[file.path] === file.sha) {
+            files.push({
+              ...previousFile,
+              commitSha: repo.commitSha,
+              url: `https://github.com/${repo.fullName}/blob/${repo.commitSha}/${file.path}`
+            });
+            change.reused++;
             continue;
           }
 
@@ -334,25 +528,101 @@ class GitHubCrawler {
             code: fileContent,
             content: fileContent, // Alias for non-code files
             fileType: fileType,
-            url: `https://github.com/${repo.fullName}/blob/HEAD/${file.path}`,
+            commitSha: repo.commitSha,
+            url: `https://github.com/${repo.fullName}/blob/${repo.commitSha}/${file.path}`,
             extractedAt: new Date().toISOString()
           });
 
+          (previousFile ? change.modified : change.added).push(file.path);
           this.debug(`✓ Extracted: ${file.path} (${fileType}, ${file.size} bytes)`);
           
           // Rate limiting
           await new Promise(resolve => setTimeout(resolve, 100));
         } catch (error) {
+          delete blobShas[file.path];
           this.debug(`Failed to fetch ${file.path}:`, error.message);
+          this.skipped.push({ repository: repo.fullName, path: file.path, reason: error.message });
         }
       }
+
+      change.removed = [...previousFiles.keys()].filter(filePath => !(filePath in blobShas));
+      this.changes.updated.push(change);
+      this.crawlState.repositories[repo.fullName] = {
+        commitSha: commit.sha,
+        treeSha: tree.sha,
+        etags: { repo: this.repoEtags[repo.fullName] || null, commit: commitResponse.etag },
+        blobs: blobShas,
+        crawledAt: new Date().toISOString()
+      };
     } catch (error) {
       console.error(`Failed to crawl repository ${repo.fullName}:`, error);
+      this.skipped.push({ repository: repo.fullName, path: null, reason: error.message });
+
+      // Keep serving what we had rather than dropping the repository
+      if (previousFiles.size > 0) {
+        this.changes.failed.push(repo.fullName);
+        repo.commitSha = previous?.commitSha;
+        return [...previousFiles.values()];
+      }
+      this.changes.failed.push(repo.fullName);
     }
 
     return files;
   }
   
+  // Whether a file should be crawled
+  isRelevantFile(filePath) {
+    const path = filePath.toLowerCase();
+    
+    // Always include these important files
+    if (path === 'readme.md' || 
+        path === 'readme.txt' || 
+        path === 'readme' ||
+        path === 'license' ||
+        path === 'license.md' ||
+        path === 'license.txt' ||
+        path === 'changelog.md' ||
+        path === 'changelog.txt') {
+      return true;
+    }
+    
+    // Include Onyx package and project files
+    if (path === 'onyx.pkg' || 
+        path.endsWith('.onyx.pkg') ||
+        path.endsWith('.kdl') ||  // KDL files for Onyx project management
+        path === 'package.json' ||
+        path === 'manifest.json') {
+      return true;
+    }
+    
+    // Include documentation files
+    if (path.includes('doc') && (path.endsWith('.md') || path.endsWith('.txt') || path.endsWith('.html'))) {
+      return true;
+    }
+    
+    // Include example files
+    if (path.includes('example') && (path.endsWith('.md') || path.endsWith('.onyx') || path.endsWith('.html'))) {
+      return true;
+    }
+    
+    // Include all .onyx source files
+    if (path.endsWith('.onyx')) {
+      return true;
+    }
+    
+    // Include HTML files (documentation, examples, web interfaces)
+    if (path.endsWith('.html')) {
+      return true;
+    }
+    
+    // Include configuration files that might have documentation
+    if (path.endsWith('.toml') || path.endsWith('.yaml') || path.endsWith('.yml')) {
+      return true;
+    }
+    
+    return false;
+  }
+
   // Determine file type for better categorization
   determineFileType(filePath) {
     const path = filePath.toLowerCase();
@@ -390,8 +660,11 @@ class GitHubCrawler {
         imports: new Set(),
         functions: [],
         structs: [],
+        unions: [],
         enums: [],
+        interfaces: [],
         macros: [],
+        overloads: [],
         commonPatterns: new Map()
       },
       examples: {
@@ -492,38 +765,27 @@ class GitHubCrawler {
         const useMatches = file.content.match(/use\s+[\w.{}*,\s]+/g) || [];
         useMatches.forEach(use => analysis.patterns.imports.add(use.trim()));
 
-        // Extract function definitions
-        const funcMatches = file.content.match(/(\w+)\s*::\s*\([^)]*\)\s*(->\s*[\w\[\]]+)?\s*{/g) || [];
-        funcMatches.forEach(func => {
-          analysis.patterns.functions.push({
-            definition: func.trim(),
-            file: file.path,
-            repository: file.repository,
-            url: file.url
-          });
-        });
-
-        // Extract struct definitions
-        const structMatches = file.content.match(/(\w+)\s*::\s*struct[^{]*{[^}]*}/gs) || [];
-        structMatches.forEach(struct => {
-          analysis.patterns.structs.push({
-            definition: struct.trim(),
-            file: file.path,
-            repository: file.repository,
-            url: file.url
-          });
-        });
+        // Extract declarations with the Onyx parser
+        for (const decl of parseOnyxDeclarations(file.content)) {
+          const target = DECLARATION_PATTERNS[decl.kind];
+          if (!target) continue;
 
-        // Extract enum definitions
-        const enumMatches = file.content.match(/(\w+)\s*::\s*enum[^{]*{[^}]*}/gs) || [];
-        enumMatches.forEach(enumDef => {
-          analysis.patterns.enums.push({
-            definition: enumDef.trim(),
+          analysis.patterns[target].push({
+            name: decl.name,
+            kind: decl.kind,
+            signature: decl.signature,
+            definition: decl.definition,
+            line: decl.line,
+            endLine: decl.endLine,
+            docComment: decl.docComment,
+            polymorphic: decl.polymorphic,
+            foreign: decl.foreign,
             file: file.path,
             repository: file.repository,
-            url: file.url
+            url: file.url,
+            permalink: this.buildPermalink(file.url, decl.line, decl.endLine)
           });
-        });
+        }
 
         // Categorize examples by complexity (simple heuristic)
         const complexity = this.determineComplexity(file.content, lines.length);
@@ -559,6 +821,12 @@ class GitHubCrawler {
     return analysis;
   }
   
+  // Link to a line range of a file; file URLs are already pinned to a commit
+  buildPermalink(fileUrl, startLine, endLine) {
+    const anchor = endLine && endLine !== startLine ? `#L${startLine}-L${endLine}` : `#L${startLine}`;
+    return `${fileUrl}${anchor}`;
+  }
+  
   // Extract summary from README content
   extractReadmeSummary(content) {
     const lines = content.split('\n');
@@ -735,6 +1003,7 @@ class GitHubCrawler {
     console.log('🚀 Starting GitHub Onyx code crawl...');
     
     await fs.mkdir(this.outputDir, { recursive: true });
+    await this.loadPreviousCrawl();
 
     let repositories;
     
@@ -770,66 +1039,113 @@ class GitHubCrawler {
       const files = await this.crawlRepository(repo);
       allFiles.push(...files);
       
-      // Rate limiting between repos
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      // Rate limiting between repos (unchanged repos made a single request)
+      if (!this.changes.unchanged.includes(repo.fullName)) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
     }
 
     console.log(`📄 Extracted ${allFiles.length} Onyx files total`);
 
+    // Local directories are crawled separately; carry their data over
+    const existing = await this.readExistingData();
+    const isLocal = name => name.startsWith(LOCAL_REPOSITORY_PREFIX);
+    repositories.push(...existing.repositories.filter(repo => isLocal(repo.fullName)));
+    allFiles.push(...existing.files.filter(file => isLocal(file.repository)));
+
     // Analyze the code
     const analysis = this.analyzeOnyxCode(allFiles);
 
     // Save results
     await this.saveResults(repositories, allFiles, analysis);
 
+    this.printChangeSummary();
+
     console.log('✅ GitHub crawl complete!');
     console.log(`📊 Stats: ${analysis.totalFiles} files, ${analysis.totalLines} lines of code`);
-    console.log(`🔍 Found: ${analysis.patterns.functions.length} functions, ${analysis.patterns.structs.length} structs`);
+    console.log(`🔍 Found: ${analysis.patterns.functions.length} functions, ${analysis.patterns.structs.length} structs, ${analysis.patterns.enums.length} enums, ${analysis.patterns.macros.length} macros`);
+  }
+
+  printChangeSummary() {
+    const { unchanged, updated, failed } = this.changes;
+    console.log('\n🔄 Changes since last crawl:');
+    console.log(`   Unchanged repositories: ${unchanged.length}`);
+    updated.forEach(change => {
+      console.log(`   ${change.repository}: +${change.added.length} added, ~${change.modified.length} modified, -${change.removed.length} removed, ${change.reused} reused`);
+    });
+    if (failed.length > 0) {
+      console.log(`   ⚠️  Failed (kept previous data where available): ${failed.join(', ')}`);
+    }
+
+    if (this.skipped.length > 0) {
+      console.log(`\n⚠️  ${this.skipped.length} items could not be fetched:`);
+      this.skipped.forEach(item => {
+        console.log(`   ${item.repository}${item.path ? `/${item.path}` : ''}: ${item.reason}`);
+      });
+    }
+    if (this.rateLimit.retries > 0 || this.rateLimit.remaining !== null) {
+      console.log(`📉 GitHub API: ${this.rateLimit.retries} retries, ${this.rateLimit.remaining ?? 'unknown'} requests remaining`);
+    }
   }
 
   async saveResults(repositories, files, analysis) {
     // Save repository list
-    await fs.writeFile(
+    await writeFileAtomic(
       path.join(this.outputDir, 'repositories.json'),
       JSON.stringify(repositories, null, 2)
     );
 
     // Save all code files
-    await fs.writeFile(
+    await writeFileAtomic(
       path.join(this.outputDir, 'onyx-code.json'),
       JSON.stringify(files, null, 2)
     );
 
+    // Prebuild the search index for the crawled files
+    await saveIndex(
+      buildGitHubFilesIndex(files),
+      path.join(this.outputDir, path.basename(INDEX_FILES.githubFiles.index))
+    );
+
     // Save analysis
-    await fs.writeFile(
+    await writeFileAtomic(
       path.join(this.outputDir, 'code-analysis.json'),
       JSON.stringify(analysis, null, 2)
     );
 
     // Save examples by topic for easy lookup
-    await fs.writeFile(
+    await writeFileAtomic(
       path.join(this.outputDir, 'examples-by-topic.json'),
       JSON.stringify(analysis.examples.byTopic, null, 2)
     );
 
     // Save patterns for code completion/suggestions
-    await fs.writeFile(
+    await writeFileAtomic(
       path.join(this.outputDir, 'code-patterns.json'),
       JSON.stringify(analysis.patterns, null, 2)
     );
     
     // Save documentation separately for better searchability
-    await fs.writeFile(
+    await writeFileAtomic(
       path.join(this.outputDir, 'documentation.json'),
       JSON.stringify(analysis.documentation, null, 2)
     );
     
     // Save file type breakdown for debugging
-    await fs.writeFile(
+    await writeFileAtomic(
       path.join(this.outputDir, 'file-types.json'),
       JSON.stringify(analysis.filesByType, null, 2)
     );
 
+    // Save incremental crawl state and what changed in this run
+    await writeFileAtomic(
+      this.statePath,
+      JSON.stringify({
+        ...this.crawlState,
+        lastRun: { date: new Date().toISOString(), ...this.changes, skipped: this.skipped }
+      }, null, 2)
+    );
+
     this.debug(`💾 Saved all data to ${this.outputDir}`);
   }
 }
@@ -0,0 +1,212 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import GitHubCrawler, { LOCAL_REPOSITORY_PREFIX } from './github.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const execFileAsync = promisify(execFile);
+
+// Directories never worth walking into
+const IGNORED_DIRECTORIES = new Set(['.git', 'node_modules', 'build', 'dist', 'data']);
+
+export async function crawlLocal(directories, options = {}) {
+  const { maxFiles = 500 } = options;
+
+  const crawler = new LocalCrawler({
+    outputDir: path.join(__dirname, '../../data/github'),
+    debug: true,
+    maxFilesPerRepo: maxFiles,
+    maxFileSize: 100000
+  });
+
+  return await crawler.crawlDirectories(directories);
+}
+
+// Name of the `local:` repository for a directory: the one it was crawled
+// under before, else its basename, suffixed with -2, -3, ... while that is
+// taken by another directory in this crawl or an earlier one
+function chooseRepositoryName(rootDir, localPaths, usedNames) {
+  for (const [name, localPath] of localPaths) {
+    if (localPath === rootDir && !usedNames.has(name)) return name;
+  }
+
+  const baseName = path.basename(rootDir);
+  let name = baseName;
+  for (let n = 2; usedNames.has(name) || (localPaths.has(name) && localPaths.get(name) !== rootDir); n++) {
+    name = `${baseName}-${n}`;
+  }
+  return name;
+}
+
+// Crawls local directories and git checkouts with the same filtering and
+// analysis as the GitHub crawler. Results are stored under `local:<name>`
+// repositories in the same data files, next to the GitHub data.
+export class LocalCrawler extends GitHubCrawler {
+  debug(...args) {
+    if (this.debugMode) {
+      console.log('[LOCAL]', ...args);
+    }
+  }
+
+  // Relative paths (with forward slashes) of every file below a directory
+  async listFiles(rootDir) {
+    const files = [];
+
+    const walk = async (dir) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!IGNORED_DIRECTORIES.has(entry.name) && !entry.name.startsWith('.')) {
+            await walk(fullPath);
+          }
+        } else if (entry.isFile()) {
+          files.push(path.relative(rootDir, fullPath).split(path.sep).join('/'));
+        }
+      }
+    };
+
+    await walk(rootDir);
+    return files.sort();
+  }
+
+  // Commit SHA of a git checkout, or null for a plain directory
+  async getGitCommit(dir) {
+    try {
+      const { stdout } = await execFileAsync('git', ['-C', dir, 'rev-parse', 'HEAD']);
+      return stdout.trim() || null;
+    } catch {
+      return null;
+    }
+  }
+
+  async crawlDirectory(dir, name) {
+    const rootDir = path.resolve(dir);
+    const stat = await fs.stat(rootDir);
+    if (!stat.isDirectory()) {
+      throw new Error(`Not a directory: ${rootDir}`);
+    }
+
+    const fullName = `${LOCAL_REPOSITORY_PREFIX}${name}`;
+    const commitSha = await this.getGitCommit(rootDir);
+    const repo = {
+      owner: null,
+      name,
+      fullName,
+      description: `Local directory ${rootDir}`,
+      stars: 0,
+      language: 'Onyx',
+      url: `file://${rootDir}`,
+      isPrivate: true,
+      lastUpdated: stat.mtime.toISOString(),
+      localPath: rootDir,
+      commitSha
+    };
+
+    const relevantFiles = (await this.listFiles(rootDir))
+      .filter(filePath => this.isRelevantFile(filePath))
+      .slice(0, this.maxFilesPerRepo);
+
+    this.debug(`Found ${relevantFiles.length} relevant files in ${rootDir}${commitSha ? ` (commit ${commitSha})` : ''}`);
+
+    const files = [];
+    for (const filePath of relevantFiles) {
+      const absolutePath = path.join(rootDir, filePath);
+      try {
+        const { size } = await fs.stat(absolutePath);
+        if (size > this.maxFileSize) {
+          this.debug(`Skipping large file: ${filePath} (${size} bytes)`);
+          this.skipped.push({ repository: fullName, path: filePath, reason: `File too large (${size} bytes)` });
+          continue;
+        }
+
+        const fileContent = await fs.readFile(absolutePath, 'utf8');
+        const fileType = this.determineFileType(filePath);
+
+        files.push({
+          repository: fullName,
+          path: filePath,
+          size,
+          code: fileContent,
+          content: fileContent, // Alias for non-code files
+          fileType,
+          commitSha,
+          url: `file://${absolutePath}`,
+          extractedAt: new Date().toISOString()
+        });
+
+        this.debug(`✓ Extracted: ${filePath} (${fileType}, ${size} bytes)`);
+      } catch (error) {
+        this.debug(`Failed to read ${filePath}:`, error.message);
+        this.skipped.push({ repository: fullName, path: filePath, reason: error.message });
+      }
+    }
+
+    this.changes.updated.push({ repository: fullName, added: files.map(f => f.path), modified: [], removed: [], reused: 0 });
+    return { repo, files };
+  }
+
+  async crawlDirectories(directories) {
+    console.log(`🚀 Starting local crawl of ${directories.length} directories...`);
+
+    await fs.mkdir(this.outputDir, { recursive: true });
+    await this.loadPreviousCrawl();
+    const existing = await this.readExistingData();
+
+    // Directories of the local repositories crawled before, by name
+    const localPaths = new Map(existing.repositories
+      .filter(repo => repo.fullName?.startsWith(LOCAL_REPOSITORY_PREFIX))
+      .map(repo => [repo.name, repo.localPath]));
+
+    const repositories = [];
+    const crawledFiles = [];
+    const usedNames = new Set();
+
+    for (const dir of directories) {
+      const rootDir = path.resolve(dir);
+      const name = chooseRepositoryName(rootDir, localPaths, usedNames);
+      usedNames.add(name);
+      if (localPaths.get(name) === rootDir) {
+        console.log(`♻️  Replacing ${LOCAL_REPOSITORY_PREFIX}${name}, crawled earlier from ${rootDir}`);
+      }
+
+      try {
+        const { repo, files } = await this.crawlDirectory(dir, name);
+        repositories.push(repo);
+        crawledFiles.push(...files);
+        console.log(`📁 ${repo.fullName}: ${files.length} files from ${repo.localPath}`);
+      } catch (error) {
+        console.error(`❌ Failed to crawl ${dir}:`, error.message);
+        this.skipped.push({ repository: `${LOCAL_REPOSITORY_PREFIX}${name}`, path: null, reason: error.message });
+      }
+    }
+
+    if (repositories.length === 0) {
+      console.log('❌ No directories could be crawled');
+      return;
+    }
+
+    // Replace earlier data for these directories and keep everything else
+    const crawled = new Set(repositories.map(repo => repo.fullName));
+    const allRepositories = [
+      ...existing.repositories.filter(repo => !crawled.has(repo.fullName)),
+      ...repositories
+    ];
+    const allFiles = [
+      ...existing.files.filter(file => !crawled.has(file.repository)),
+      ...crawledFiles
+    ];
+
+    const analysis = this.analyzeOnyxCode(allFiles);
+    await this.saveResults(allRepositories, allFiles, analysis);
+
+    this.printChangeSummary();
+
+    console.log('✅ Local crawl complete!');
+    console.log(`📊 Stats: ${crawledFiles.length} local files, ${analysis.totalFiles} files in total`);
+  }
+}
+
+export default LocalCrawler;
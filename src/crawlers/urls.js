@@ -3,6 +3,7 @@ import * as cheerio from 'cheerio';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { writeFileAtomic } from '../core/atomic-write.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -55,7 +56,7 @@ export class UrlCrawler {
         await fs.mkdir(this.outputDir, { recursive: true });
         const filename = this.generateFilename(url);
         const outputPath = path.join(this.outputDir, filename);
-        await fs.writeFile(outputPath, JSON.stringify(result, null, 2));
+        await writeFileAtomic(outputPath, JSON.stringify(result, null, 2));
         this.debug(`Saved content to ${outputPath}`);
       }
       
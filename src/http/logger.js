@@ -0,0 +1,82 @@
+import { randomUUID } from 'crypto';
+
+// =============================================================================
+// STRUCTURED LOGGING
+// =============================================================================
+// One JSON object per line on stdout (errors on stderr), or the previous
+// plain-text lines with ONYX_MCP_LOG_FORMAT=text. Every request gets an id,
+// taken from a well-formed X-Request-Id header or generated, which is echoed
+// back and attached to all of the request's log lines. The access log
+// includes tool arguments with code and other payloads redacted.
+//
+// Environment:
+//   ONYX_MCP_LOG_FORMAT  json (default) or text
+
+// Arguments that carry code, program input or secrets
+const REDACTED_FIELDS = new Set(['code', 'files', 'preamble', 'stdin', 'env']);
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+export function createLogger(format = process.env.ONYX_MCP_LOG_FORMAT || 'json') {
+  const write = (level, message, fields = {}) => {
+    const stream = level === 'error' ? process.stderr : process.stdout;
+
+    if (format === 'text') {
+      const details = Object.entries(fields).map(([key, value]) =>
+        `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`).join(' ');
+      stream.write(`[${new Date().toISOString()}] ${level.toUpperCase()} ${message}${details ? ` ${details}` : ''}\n`);
+      return;
+    }
+
+    stream.write(JSON.stringify({ time: new Date().toISOString(), level, msg: message, ...fields }) + '\n');
+  };
+
+  return {
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+  };
+}
+
+// Replace payload fields with their size, so logs show the shape of a call
+// without the code in it
+export function redactArguments(args) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) return args;
+
+  return Object.fromEntries(Object.entries(args).map(([key, value]) => {
+    if (!REDACTED_FIELDS.has(key) || value === undefined || value === null) return [key, value];
+    const size = Buffer.byteLength(typeof value === 'string' ? value : JSON.stringify(value));
+    return [key, `[redacted ${size} bytes]`];
+  }));
+}
+
+// Express middleware assigning `req.id` and writing one access log line per
+// request when the response finishes. `onFinish(req, res, durationSeconds)`
+// is called at the same point, for metrics.
+export function createAccessLog(logger, onFinish = () => {}) {
+  return (req, res, next) => {
+    const header = req.headers['x-request-id'];
+    req.id = typeof header === 'string' && REQUEST_ID_PATTERN.test(header) ? header : randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      const durationSeconds = Number(process.hrtime.bigint() - start) / 1e9;
+      onFinish(req, res, durationSeconds);
+
+      const toolCall = req.path.startsWith('/tools/');
+      logger.info('request', {
+        requestId: req.id,
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Math.round(durationSeconds * 1000),
+        ip: req.ip,
+        ...(req.client && { client: req.client.name }),
+        ...(toolCall && { args: redactArguments(req.method === 'GET' ? req.query : req.body) })
+      });
+    });
+
+    next();
+  };
+}
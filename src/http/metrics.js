@@ -0,0 +1,140 @@
+// =============================================================================
+// PROMETHEUS METRICS
+// =============================================================================
+// A small in-process registry rendered in the Prometheus text format at
+// /metrics. Tool calls are recorded for every transport the HTTP server
+// handles (REST and /mcp); HTTP requests are recorded by route.
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const RESULT_COUNT_BUCKETS = [0, 1, 2, 5, 10, 25, 50, 100];
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const escaped = entries.map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+  return `{${escaped.join(',')}}`;
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.values = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = labelKey(labels);
+    const entry = this.values.get(key) || { labels, value: 0 };
+    entry.value += amount;
+    this.values.set(key, entry);
+  }
+
+  get(labels = {}) {
+    return this.values.get(labelKey(labels))?.value || 0;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const { labels, value } of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets) {
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.values = new Map();
+  }
+
+  observe(labels, value) {
+    const key = labelKey(labels);
+    const entry = this.values.get(key) || { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+    this.values.set(key, entry);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+// Number of results a search tool returned, from whichever list it uses
+function resultCount(result) {
+  for (const field of ['results', 'examples', 'symbols', 'repositories']) {
+    if (Array.isArray(result?.[field])) return result[field].length;
+  }
+  return null;
+}
+
+export class Metrics {
+  constructor() {
+    this.httpRequests = new Counter('onyx_mcp_http_requests_total', 'HTTP requests by route and status');
+    this.httpDuration = new Histogram('onyx_mcp_http_request_duration_seconds', 'HTTP request latency by route', LATENCY_BUCKETS);
+    this.toolCalls = new Counter('onyx_mcp_tool_calls_total', 'Tool calls by tool and transport');
+    this.toolErrors = new Counter('onyx_mcp_tool_errors_total', 'Tool calls that failed, by tool and kind (error, invalid_arguments)');
+    this.toolDuration = new Histogram('onyx_mcp_tool_duration_seconds', 'Tool call latency by tool', LATENCY_BUCKETS);
+    this.searchResults = new Histogram('onyx_mcp_search_results', 'Results returned per search tool call', RESULT_COUNT_BUCKETS);
+    this.executionTimeouts = new Counter('onyx_mcp_execution_timeouts_total', 'Builds and runs stopped by their timeout, by tool');
+  }
+
+  recordRequest({ method, route, status, durationSeconds }) {
+    this.httpRequests.inc({ method, route, status });
+    this.httpDuration.observe({ method, route }, durationSeconds);
+  }
+
+  // `result` is the tool's result object; a thrown error counts as an error
+  recordToolCall({ tool, transport, durationSeconds, result }) {
+    this.toolCalls.inc({ tool, transport });
+    this.toolDuration.observe({ tool }, durationSeconds);
+
+    // A program that fails to compile or run is a result, not a tool error
+    if (result?.validationErrors) {
+      this.toolErrors.inc({ tool, kind: 'invalid_arguments' });
+    } else if (!result || result.error) {
+      this.toolErrors.inc({ tool, kind: 'error' });
+    }
+
+    if (result?.timedOut) {
+      this.executionTimeouts.inc({ tool });
+    }
+
+    const count = resultCount(result);
+    if (count !== null) {
+      this.searchResults.observe({ tool }, count);
+    }
+  }
+
+  render() {
+    return [
+      this.httpRequests,
+      this.httpDuration,
+      this.toolCalls,
+      this.toolErrors,
+      this.toolDuration,
+      this.searchResults,
+      this.executionTimeouts
+    ].flatMap(metric => metric.render()).join('\n') + '\n';
+  }
+}
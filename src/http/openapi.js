@@ -0,0 +1,381 @@
+import fs from 'fs';
+import { TOOL_DEFINITIONS, EXECUTION_TOOLS, PROMPT_DEFINITIONS } from '../core/mcp-shared.js';
+
+// =============================================================================
+// OPENAPI SPEC
+// =============================================================================
+// OpenAPI 3 description of the HTTP server, generated from TOOL_DEFINITIONS
+// so every /tools/:name route documents the same request schema its MCP tool
+// declares. Served at /openapi.json, and rendered as a plain HTML reference
+// at /docs.
+
+const packageJson = JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+// Tools that return the output of a compiler or program run
+const RUN_RESULT_TOOLS = new Set([...EXECUTION_TOOLS].filter(name => !['create_onyx_session', 'close_session'].includes(name)));
+
+// Tools served with GET and query parameters instead of a JSON body
+export const GET_TOOLS = new Set(['list_github_repos']);
+
+const COMPONENT_SCHEMAS = {
+  Error: {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      message: { type: 'string' },
+      retryAfter: { type: 'integer', description: 'Seconds until the next request is allowed (429 only)' }
+    },
+    required: ['error']
+  },
+  ToolResult: {
+    type: 'object',
+    description: 'Tool result; failures have success: false and an error message',
+    properties: {
+      success: { type: 'boolean' },
+      error: { type: 'string' }
+    },
+    additionalProperties: true
+  },
+  InvalidArguments: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string' },
+      validationErrors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string', description: 'Argument path, e.g. "sources[1]"' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  Diagnostic: {
+    type: 'object',
+    properties: {
+      file: { type: 'string' },
+      line: { type: 'integer' },
+      column: { type: 'integer' },
+      severity: { type: 'string', enum: ['error', 'warning'] },
+      message: { type: 'string' },
+      excerpt: { type: 'string', nullable: true },
+      docs: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { title: { type: 'string' }, section: { type: 'string' }, url: { type: 'string' } }
+        }
+      }
+    }
+  },
+  Artifact: {
+    type: 'object',
+    properties: {
+      path: { type: 'string' },
+      size: { type: 'integer' },
+      encoding: { type: 'string', enum: ['base64'] },
+      content: { type: 'string' },
+      omitted: { type: 'boolean', description: 'Content left out because of the artifact size limit' }
+    }
+  },
+  RunResult: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      error: { type: 'string' },
+      exitCode: { type: 'integer' },
+      signal: { type: 'string' },
+      stdout: { type: 'string' },
+      stderr: { type: 'string' },
+      executionTime: { type: 'integer', description: 'Milliseconds' },
+      timedOut: { type: 'boolean' },
+      outputTruncated: { type: 'boolean' },
+      sandbox: { type: 'string' },
+      filesystemIsolated: { type: 'boolean', description: 'Whether the program was confined to its work directory and the toolchain' },
+      diagnostics: { type: 'array', items: { $ref: '#/components/schemas/Diagnostic' } },
+      artifacts: { type: 'array', items: { $ref: '#/components/schemas/Artifact' } }
+    },
+    additionalProperties: true
+  }
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const jsonResponse = (schema, description = 'OK') => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+// Responses every protected route may return
+const SECURITY_RESPONSES = {
+  401: errorResponse('Missing or invalid API key'),
+  403: errorResponse('The API key lacks the required scope'),
+  429: errorResponse('Rate limit exceeded')
+};
+
+// Query parameters for a GET tool; arrays and objects do not fit a query
+// string, so only scalar properties are listed
+function queryParameters(inputSchema) {
+  return Object.entries(inputSchema.properties || {})
+    .filter(([, schema]) => schema.type !== 'array' && schema.type !== 'object')
+    .map(([name, { description, ...schema }]) => ({
+      name,
+      in: 'query',
+      required: inputSchema.required?.includes(name) || false,
+      description,
+      schema
+    }));
+}
+
+function toolOperation(tool) {
+  const isGet = GET_TOOLS.has(tool.name);
+  const scope = EXECUTION_TOOLS.has(tool.name) ? 'execute' : 'search';
+  const resultSchema = RUN_RESULT_TOOLS.has(tool.name)
+    ? { $ref: '#/components/schemas/RunResult' }
+    : { $ref: '#/components/schemas/ToolResult' };
+
+  const operation = {
+    operationId: tool.name,
+    summary: tool.description,
+    tags: [scope === 'execute' ? 'Execution' : 'Search'],
+    'x-scope': scope,
+    responses: {
+      200: jsonResponse(resultSchema, 'Tool result'),
+      400: jsonResponse({ $ref: '#/components/schemas/InvalidArguments' }, 'Arguments do not match the input schema'),
+      ...SECURITY_RESPONSES
+    }
+  };
+
+  if (isGet) {
+    operation.parameters = queryParameters(tool.inputSchema);
+  } else {
+    operation.requestBody = {
+      required: Boolean(tool.inputSchema.required?.length),
+      content: { 'application/json': { schema: tool.inputSchema } }
+    };
+  }
+
+  return { [isGet ? 'get' : 'post']: operation };
+}
+
+// The spec for this server. `authEnabled` adds the API key requirement to
+// every operation but the health check.
+export function buildOpenApiSpec(options = {}) {
+  const { authEnabled = false, serverUrl = null } = options;
+
+  const paths = {
+    '/health': {
+      get: {
+        operationId: 'health',
+        summary: 'Health check',
+        tags: ['Server'],
+        security: [],
+        responses: { 200: jsonResponse({ type: 'object', properties: { status: { type: 'string' }, timestamp: { type: 'string' } } }) }
+      }
+    },
+    '/metrics': {
+      get: {
+        operationId: 'metrics',
+        summary: 'Prometheus metrics: tool calls, latencies, errors, search result counts and timeouts',
+        tags: ['Server'],
+        responses: {
+          200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } },
+          ...SECURITY_RESPONSES
+        }
+      }
+    },
+    '/admin/reload': {
+      post: {
+        operationId: 'reloadData',
+        summary: 'Re-read crawl data and search indexes after a crawl',
+        tags: ['Admin'],
+        'x-scope': 'admin',
+        responses: {
+          200: jsonResponse({
+            type: 'object',
+            properties: {
+              reloaded: { type: 'array', items: { type: 'string' } },
+              failed: { type: 'array', items: { type: 'string' }, description: 'Datasets that did not load and kept their previous data' },
+              reloadedAt: { type: 'string' }
+            }
+          }, 'Reload summary'),
+          ...SECURITY_RESPONSES
+        }
+      }
+    },
+    '/tools': {
+      get: {
+        operationId: 'listTools',
+        summary: 'List tools with their HTTP endpoints and parameters',
+        tags: ['Server'],
+        responses: { 200: jsonResponse({ type: 'object', additionalProperties: true }), ...SECURITY_RESPONSES }
+      }
+    },
+    '/resources': {
+      get: {
+        operationId: 'listResources',
+        summary: 'List documentation pages and crawled source files as MCP resources',
+        tags: ['Resources'],
+        parameters: [{ name: 'cursor', in: 'query', required: false, schema: { type: 'string' } }],
+        responses: {
+          200: jsonResponse({
+            type: 'object',
+            properties: {
+              resources: { type: 'array', items: { type: 'object', additionalProperties: true } },
+              nextCursor: { type: 'string' }
+            }
+          }),
+          ...SECURITY_RESPONSES
+        }
+      }
+    },
+    '/resources/templates': {
+      get: {
+        operationId: 'listResourceTemplates',
+        summary: 'List resource URI templates',
+        tags: ['Resources'],
+        responses: { 200: jsonResponse({ type: 'object', additionalProperties: true }), ...SECURITY_RESPONSES }
+      }
+    },
+    '/resources/read': {
+      get: {
+        operationId: 'readResource',
+        summary: 'Read a full documentation page or source file',
+        tags: ['Resources'],
+        parameters: [{ name: 'uri', in: 'query', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: jsonResponse({
+            type: 'object',
+            properties: {
+              contents: {
+                type: 'array',
+                items: { type: 'object', properties: { uri: { type: 'string' }, mimeType: { type: 'string' }, text: { type: 'string' } } }
+              }
+            }
+          }),
+          400: errorResponse('uri parameter is required'),
+          404: errorResponse('Resource not found'),
+          ...SECURITY_RESPONSES
+        }
+      }
+    },
+    '/prompts': {
+      get: {
+        operationId: 'listPrompts',
+        summary: 'List prompt templates',
+        tags: ['Prompts'],
+        responses: { 200: jsonResponse({ type: 'object', additionalProperties: true }), ...SECURITY_RESPONSES }
+      }
+    }
+  };
+
+  for (const prompt of PROMPT_DEFINITIONS) {
+    paths[`/prompts/${prompt.name}`] = {
+      post: {
+        operationId: `prompt_${prompt.name}`,
+        summary: prompt.description,
+        tags: ['Prompts'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: Object.fromEntries(prompt.arguments.map(arg => [arg.name, { type: 'string', description: arg.description }])),
+                required: prompt.arguments.filter(arg => arg.required).map(arg => arg.name)
+              }
+            }
+          }
+        },
+        responses: {
+          200: jsonResponse({ type: 'object', additionalProperties: true }, 'Prompt messages'),
+          400: errorResponse('A required argument is missing'),
+          ...SECURITY_RESPONSES
+        }
+      }
+    };
+  }
+
+  for (const tool of TOOL_DEFINITIONS) {
+    paths[`/tools/${tool.name}`] = toolOperation(tool);
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Onyx MCP HTTP API',
+      description: packageJson.description,
+      version: packageJson.version
+    },
+    ...(serverUrl && { servers: [{ url: serverUrl }] }),
+    tags: [
+      { name: 'Search', description: 'Documentation and GitHub search tools (search scope)' },
+      { name: 'Execution', description: 'Tools that build or run code (execute scope)' },
+      { name: 'Resources' },
+      { name: 'Prompts' },
+      { name: 'Server' },
+      { name: 'Admin', description: 'Server administration (admin scope)' }
+    ],
+    paths,
+    components: {
+      schemas: COMPONENT_SCHEMAS,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    },
+    ...(authEnabled && { security: [{ bearerAuth: [] }, { apiKeyHeader: [] }] })
+  };
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Self-contained HTML reference for the spec, without external scripts
+export function renderApiDocs(spec) {
+  const operations = Object.entries(spec.paths).flatMap(([pathname, methods]) =>
+    Object.entries(methods).map(([method, operation]) => ({ pathname, method, operation })));
+
+  const sections = operations.map(({ pathname, method, operation }) => {
+    const request = operation.requestBody?.content['application/json'].schema;
+    const parameters = operation.parameters?.length ? operation.parameters : null;
+    return [
+      `<section id="${escapeHtml(operation.operationId)}">`,
+      `<h3><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(pathname)}</code></h3>`,
+      `<p>${escapeHtml(operation.summary)}${operation['x-scope'] ? ` <em>(scope: ${operation['x-scope']})</em>` : ''}</p>`,
+      parameters ? `<h4>Query parameters</h4><pre>${escapeHtml(JSON.stringify(parameters, null, 2))}</pre>` : '',
+      request ? `<h4>Request body</h4><pre>${escapeHtml(JSON.stringify(request, null, 2))}</pre>` : '',
+      `<h4>Responses</h4><p>${Object.keys(operation.responses).map(escapeHtml).join(', ')}</p>`,
+      '</section>'
+    ].join('\n');
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(spec.info.title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+  section { border-top: 1px solid #ddd; padding: 0.5rem 0; }
+  pre { background: #f6f8fa; padding: 0.75rem; overflow-x: auto; font-size: 0.85rem; }
+  .method { display: inline-block; min-width: 3.5rem; padding: 0.1rem 0.4rem; border-radius: 4px; color: #fff; font-size: 0.8rem; text-align: center; }
+  .get { background: #2f7dd1; } .post { background: #3a9a5b; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(spec.info.title)} <small>${escapeHtml(spec.info.version)}</small></h1>
+<p>${escapeHtml(spec.info.description)}</p>
+<p>Machine-readable spec: <a href="/openapi.json">/openapi.json</a></p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
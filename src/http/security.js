@@ -0,0 +1,198 @@
+import fs from 'fs';
+import { createHash, timingSafeEqual } from 'crypto';
+
+// =============================================================================
+// HTTP AUTHENTICATION, SCOPES AND RATE LIMITING
+// =============================================================================
+// API keys are optional: without any configured keys the HTTP server stays
+// open, as it always was. Once keys exist, every endpoint except the health
+// check and the API description needs one, sent as `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+// Each key carries scopes: `search` covers the documentation and GitHub
+// tools, resources and prompts; `execute` covers the tools that compile and
+// run code; `admin` covers the /admin endpoints and is only granted
+// explicitly.
+//
+// Requests are throttled with a token bucket per API key, or per client IP
+// for anonymous requests.
+//
+// Environment:
+//   ONYX_MCP_API_KEYS         Inline keys: "key:search+execute,key2:search"
+//                             (a key without scopes gets search and execute)
+//   ONYX_MCP_API_KEYS_FILE    JSON file: {"keys": [{"name", "key", "scopes"}]}
+//   ONYX_MCP_RATE_LIMIT       Requests per minute per client (default 120, 0 disables)
+//   ONYX_MCP_RATE_LIMIT_BURST Requests a client may make at once (default 60)
+//   ONYX_MCP_CORS_ORIGINS     Comma-separated allowed origins (default: any)
+//   ONYX_MCP_TRUST_PROXY      Express "trust proxy" setting, for client IPs
+//                             behind a reverse proxy
+
+export const SCOPES = ['search', 'execute', 'admin'];
+
+// Scopes of a key that does not list any
+const DEFAULT_SCOPES = ['search', 'execute'];
+
+// Served without a key, and not rate limited
+const PUBLIC_PATHS = new Set(['/health', '/openapi.json', '/docs']);
+
+export function getHttpSecurityConfig(env = process.env) {
+  const rateLimit = env.ONYX_MCP_RATE_LIMIT === undefined ? 120 : parseInt(env.ONYX_MCP_RATE_LIMIT) || 0;
+
+  return {
+    apiKeys: [
+      ...parseInlineKeys(env.ONYX_MCP_API_KEYS),
+      ...(env.ONYX_MCP_API_KEYS_FILE ? loadKeyFile(env.ONYX_MCP_API_KEYS_FILE) : [])
+    ],
+    rateLimit,
+    rateLimitBurst: parseInt(env.ONYX_MCP_RATE_LIMIT_BURST) || 60,
+    corsOrigins: env.ONYX_MCP_CORS_ORIGINS
+      ? env.ONYX_MCP_CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+      : null,
+    trustProxy: parseTrustProxy(env.ONYX_MCP_TRUST_PROXY)
+  };
+}
+
+// "true", a hop count, or addresses/subnets as Express accepts them
+function parseTrustProxy(value) {
+  if (!value) return null;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
+function parseScopes(scopes, keyName) {
+  const list = scopes === undefined || scopes === null || scopes === '' ? [...DEFAULT_SCOPES] : scopes;
+  for (const scope of list) {
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`Unknown scope "${scope}" for API key ${keyName}. Use one of: ${SCOPES.join(', ')}`);
+    }
+  }
+  return list;
+}
+
+function parseInlineKeys(value) {
+  if (!value) return [];
+
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map((entry, index) => {
+    const [key, scopes] = entry.split(':');
+    const name = `key-${index + 1}`;
+    return { name, key, scopes: parseScopes(scopes ? scopes.split('+') : null, name) };
+  });
+}
+
+function loadKeyFile(filePath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read API keys from ${filePath}: ${error.message}`);
+  }
+
+  return (parsed.keys || []).map((entry, index) => {
+    const name = entry.name || `file-key-${index + 1}`;
+    if (typeof entry.key !== 'string' || !entry.key) {
+      throw new Error(`API key ${name} in ${filePath} has no "key"`);
+    }
+    return { name, key: entry.key, scopes: parseScopes(entry.scopes, name) };
+  });
+}
+
+// Keys are compared as fixed-length digests, in constant time
+function digest(value) {
+  return createHash('sha256').update(value).digest();
+}
+
+function requestKey(req) {
+  const authorization = req.headers.authorization || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : req.headers['x-api-key'] || null;
+}
+
+// Token bucket per client: `burst` tokens, refilled at `perMinute`
+export class RateLimiter {
+  constructor(perMinute, burst) {
+    this.perMinute = perMinute;
+    this.burst = burst;
+    this.buckets = new Map();
+  }
+
+  // Take a token for `client`. Returns whether the request may proceed, the
+  // tokens left and, when refused, the seconds until the next token.
+  take(client, now = Date.now()) {
+    const refillPerMs = this.perMinute / 60000;
+    const bucket = this.buckets.get(client) || { tokens: this.burst, updated: now };
+
+    bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updated) * refillPerMs);
+    bucket.updated = now;
+    this.buckets.set(client, bucket);
+
+    if (this.buckets.size > 10000) this.prune(now);
+
+    if (bucket.tokens < 1) {
+      return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - bucket.tokens) / refillPerMs / 1000) };
+    }
+    bucket.tokens -= 1;
+    return { allowed: true, remaining: Math.floor(bucket.tokens) };
+  }
+
+  // Forget clients whose buckets have refilled completely
+  prune(now = Date.now()) {
+    const refillPerMs = this.perMinute / 60000;
+    for (const [client, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updated) * refillPerMs >= this.burst) {
+        this.buckets.delete(client);
+      }
+    }
+  }
+}
+
+function sendError(res, status, error, message, extra = {}) {
+  res.status(status).json({ error, message, ...extra });
+}
+
+// Express middleware enforcing API keys, scopes and rate limits.
+// `requiredScope(req)` names the scope a request needs.
+export function createSecurityMiddleware(config, requiredScope) {
+  const keys = config.apiKeys.map(entry => ({ ...entry, digest: digest(entry.key) }));
+  const limiter = config.rateLimit > 0 ? new RateLimiter(config.rateLimit, config.rateLimitBurst) : null;
+
+  return (req, res, next) => {
+    if (PUBLIC_PATHS.has(req.path) || req.method === 'OPTIONS') return next();
+
+    const key = requestKey(req);
+    const client = key ? keys.find(entry => timingSafeEqual(entry.digest, digest(key))) : null;
+    req.client = client ? { name: client.name, scopes: client.scopes } : null;
+
+    // Anonymous and unknown keys share their IP's bucket
+    if (limiter) {
+      const { allowed, remaining, retryAfter } = limiter.take(client ? `key:${client.name}` : `ip:${req.ip}`);
+      res.set('RateLimit-Limit', String(config.rateLimitBurst));
+      res.set('RateLimit-Remaining', String(remaining));
+      if (!allowed) {
+        res.set('Retry-After', String(retryAfter));
+        return sendError(res, 429, 'Too many requests', `Rate limit exceeded; retry in ${retryAfter} seconds`, { retryAfter });
+      }
+    }
+
+    if (keys.length === 0) return next();
+
+    if (!client) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return sendError(res, 401, 'Unauthorized', key ? 'Invalid API key' : 'An API key is required (Authorization: Bearer <key> or X-API-Key)');
+    }
+
+    const scope = requiredScope(req);
+    if (!client.scopes.includes(scope)) {
+      return sendError(res, 403, 'Forbidden', `API key "${client.name}" does not have the "${scope}" scope`);
+    }
+
+    next();
+  };
+}
+
+// CORS options: the configured origins, or any origin when none are set.
+// Browser MCP clients need to send the API key and read the session header.
+export function corsOptions(config) {
+  return {
+    origin: config.corsOrigins || '*',
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Mcp-Session-Id', 'Mcp-Protocol-Version', 'Last-Event-ID'],
+    exposedHeaders: ['Mcp-Session-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'Retry-After', 'WWW-Authenticate']
+  };
+}
@@ -5,6 +5,8 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 import { Command } from 'commander';
+import path from 'path';
+import { fileURLToPath } from 'url';
 
 // Import core modules
 import { startMcpServer } from './mcp-server.js';
@@ -12,8 +14,12 @@ import { OnyxMcpHttpServer } from './mcp-http.js';
 import { crawlDocumentation } from './crawlers/docs.js';
 import { crawlGitHub } from './crawlers/github.js';
 import { crawlUrl } from './crawlers/urls.js';
+import { crawlLocal } from './crawlers/local.js';
+import { rebuildSearchIndexes } from './core/search-engine.js';
 import { runTests } from './test.js';
 
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
 const program = new Command();
 
 program
@@ -60,9 +66,13 @@ program
   .command('bridge')
   .description('Start the MCP-to-HTTP bridge (connects MCP to HTTP server)')
   .option('-u, --url <url>', 'HTTP server URL', 'http://localhost:3001')
+  .option('-k, --api-key <key>', 'API key for the HTTP server (or set ONYX_MCP_API_KEY)')
   .action(async (options) => {
-    // Set environment variable for the bridge
+    // Set environment variables for the bridge
     process.env.HTTP_SERVER_URL = options.url;
+    if (options.apiKey) {
+      process.env.ONYX_MCP_API_KEY = options.apiKey;
+    }
 
     // Import and start the bridge
     const { default: startBridge } = await import('./bridge.js');
@@ -86,9 +96,18 @@ crawlCmd
   .command('github <repositories...>')
   .description('Crawl GitHub repositories for Onyx code')
   .option('-l, --limit <number>', 'Maximum number of repositories to process', '20')
+  .option('--full', 'Ignore previous crawl state and refetch every file')
   .action((repositories, options) => {
     const limit = parseInt(options.limit);
-    crawlGitHub(repositories, { limit });
+    crawlGitHub(repositories, { limit, full: options.full });
+  });
+
+crawlCmd
+  .command('local <paths...>')
+  .description('Crawl local directories or git checkouts for Onyx code')
+  .option('-m, --max-files <number>', 'Maximum number of files per directory', '500')
+  .action((paths, options) => {
+    crawlLocal(paths, { maxFiles: parseInt(options.maxFiles) });
   });
 
 crawlCmd
@@ -104,6 +123,7 @@ crawlCmd
   .description('Crawl all data sources to populate MCP')
   .option('-f, --force', 'Force recrawl documentation')
   .option('-l, --limit <number>', 'Repository limit for GitHub crawl', '20')
+  .option('--full', 'Ignore previous GitHub crawl state and refetch every file')
   .action(async (repositories, options) => {
     console.log('🔄 Starting comprehensive crawl to populate MCP data...');
 
@@ -111,11 +131,33 @@ crawlCmd
     await crawlDocumentation({ force: options.force });
 
     // Crawl GitHub - let github.js handle defaults if no repos provided
-    await crawlGitHub(repositories.length > 0 ? repositories : null, { limit: parseInt(options.limit) });
+    await crawlGitHub(repositories.length > 0 ? repositories : null, { limit: parseInt(options.limit), full: options.full });
 
     console.log('✅ Comprehensive crawl complete! MCP is now ready to use.');
   });
 
+// Index commands - maintain the prebuilt search indexes
+const indexCmd = program
+  .command('index')
+  .description('Manage the prebuilt search indexes');
+
+indexCmd
+  .command('rebuild')
+  .description('Regenerate search indexes from the existing crawled data')
+  .action(async () => {
+    console.log('🔨 Rebuilding search indexes...');
+    const dataDir = path.join(__dirname, '../data');
+    const rebuilt = await rebuildSearchIndexes(dataDir);
+
+    for (const [type, result] of Object.entries(rebuilt)) {
+      if (result.error) {
+        console.log(`⚠️  ${type}: ${result.error}`);
+      } else {
+        console.log(`✅ ${type}: indexed ${result} documents`);
+      }
+    }
+  });
+
 // Test command
 program
   .command('test')
@@ -4,24 +4,92 @@ import express from 'express';
 import cors from 'cors';
 import { fileURLToPath } from 'url';
 import path from 'path';
+import { randomUUID } from 'crypto';
 import dotenv from 'dotenv';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
 
 // Load environment variables
 dotenv.config();
 
 // Import shared MCP functionality
-import { TOOL_DEFINITIONS, SharedMcpImplementation } from './core/mcp-shared.js';
+import {
+  TOOL_DEFINITIONS,
+  EXECUTION_TOOLS,
+  RESOURCE_TEMPLATES,
+  PROMPT_DEFINITIONS,
+  SharedMcpImplementation
+} from './core/mcp-shared.js';
+import { OnyxMcpServer } from './mcp-server.js';
+import { corsOptions, createSecurityMiddleware, getHttpSecurityConfig } from './http/security.js';
+import { GET_TOOLS, buildOpenApiSpec, renderApiDocs } from './http/openapi.js';
+import { Metrics } from './http/metrics.js';
+import { createAccessLog, createLogger } from './http/logger.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Scope a request needs: `execute` for tools that run code, whether called
+// through /tools or as MCP tools/call messages, `admin` for /admin, otherwise
+// `search`
+function requiredScope(req) {
+  if (req.path.startsWith('/admin/')) return 'admin';
+
+  const toolMatch = req.path.match(/^\/tools\/([^/]+)$/);
+  if (toolMatch) {
+    return EXECUTION_TOOLS.has(toolMatch[1]) ? 'execute' : 'search';
+  }
+
+  if (req.method === 'POST' && (req.path === '/mcp' || req.path === '/mcp/messages')) {
+    const messages = Array.isArray(req.body) ? req.body : [req.body];
+    const callsExecutionTool = messages.some(message =>
+      message?.method === 'tools/call' && EXECUTION_TOOLS.has(message.params?.name));
+    return callsExecutionTool ? 'execute' : 'search';
+  }
+
+  return 'search';
+}
+
+// Native MCP sessions expire when idle and are capped in number, so clients
+// that never send DELETE do not keep servers and transports alive forever
+//
+// Environment:
+//   ONYX_MCP_HTTP_SESSION_IDLE_SECONDS  idle time before a session is closed (default 1800)
+//   ONYX_MCP_HTTP_MAX_SESSIONS          open sessions at once (default 100)
+function getMcpSessionConfig(env = process.env) {
+  return {
+    idleSeconds: parseInt(env.ONYX_MCP_HTTP_SESSION_IDLE_SECONDS) || 1800,
+    maxSessions: parseInt(env.ONYX_MCP_HTTP_MAX_SESSIONS) || 100
+  };
+}
+
 class OnyxMcpHttpServer {
-  constructor(port = 3001) {
+  constructor(port = 3001, securityConfig = getHttpSecurityConfig()) {
     this.port = port;
+    this.securityConfig = securityConfig;
+    this.apiDocsEnabled = process.env.ONYX_MCP_API_DOCS !== 'false';
     this.app = express();
+    // requiredScope() compares paths exactly, so routes must match the same
+    // way: no case folding and no optional trailing slash
+    this.app.set('case sensitive routing', true);
+    this.app.set('strict routing', true);
     this.dataDir = path.join(__dirname, '../data');
     this.mcpImpl = new SharedMcpImplementation(this.dataDir);
 
+    // Observability: tool and request metrics, structured logs
+    this.logger = createLogger();
+    this.metrics = new Metrics();
+    this.mcpImpl.metrics = this.metrics;
+
+    // Native MCP sessions on /mcp: session id -> transport, and when each
+    // was last used
+    this.mcpSessions = new Map();
+    this.mcpSessionActivity = new Map();
+    this.mcpSessionConfig = getMcpSessionConfig();
+    this.mcpSweepTimer = null;
+
     this.setupMiddleware();
+    this.setupMcpEndpoint();
     this.setupRoutes();
   }
 
@@ -51,6 +119,14 @@ class OnyxMcpHttpServer {
         if (prop.enum) {
           httpTool.parameters[key].enum = prop.enum;
         }
+
+        // Element and value types of arrays and maps
+        if (prop.items) {
+          httpTool.parameters[key].items = prop.items;
+        }
+        if (prop.additionalProperties) {
+          httpTool.parameters[key].additionalProperties = prop.additionalProperties;
+        }
       }
     }
 
@@ -58,8 +134,23 @@ class OnyxMcpHttpServer {
   }
 
   setupMiddleware() {
-    // Enable CORS for all origins
-    this.app.use(cors());
+    if (this.securityConfig.trustProxy) {
+      this.app.set('trust proxy', this.securityConfig.trustProxy);
+    }
+
+    // Request ids, the access log and request metrics; first, so requests
+    // rejected by later middleware are still logged and counted
+    this.app.use(createAccessLog(this.logger, (req, res, durationSeconds) => {
+      this.metrics.recordRequest({
+        method: req.method,
+        route: this.routeLabel(req),
+        status: res.statusCode,
+        durationSeconds
+      });
+    }));
+
+    // CORS for the configured origins (all by default)
+    this.app.use(cors(corsOptions(this.securityConfig)));
 
     // Parse JSON bodies
     this.app.use(express.json({ limit: '10mb' }));
@@ -67,10 +158,207 @@ class OnyxMcpHttpServer {
     // Parse URL-encoded bodies
     this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-    // Request logging
-    this.app.use((req, res, next) => {
-      console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
-      next();
+    // API keys, scopes and rate limits; the body is parsed first so MCP
+    // tool calls can be checked against the key's scopes
+    this.app.use(createSecurityMiddleware(this.securityConfig, requiredScope));
+  }
+
+  // Route of a request for metric labels: the matched Express route, or the
+  // path when it is a known endpoint rejected before routing (401/429)
+  routeLabel(req) {
+    if (req.route) return req.route.path;
+
+    if (!this.knownPaths) {
+      this.knownPaths = new Set([...Object.keys(buildOpenApiSpec().paths), '/mcp', '/mcp/messages']);
+    }
+    return this.knownPaths.has(req.path) ? req.path : 'unmatched';
+  }
+
+  // The spec, with this server's URL as seen by the client
+  getOpenApiSpec(req) {
+    return buildOpenApiSpec({
+      authEnabled: this.securityConfig.apiKeys.length > 0,
+      serverUrl: `${req.protocol}://${req.get('host')}`
+    });
+  }
+
+  // Start an MCP protocol server for a new session, backed by the same
+  // implementation as the REST endpoints
+  async connectMcpSession(transport) {
+    const server = new OnyxMcpServer(this.mcpImpl);
+    await server.connect(transport);
+  }
+
+  // The transport of an open MCP session; looking it up counts as activity
+  getMcpSession(sessionId) {
+    const transport = this.mcpSessions.get(sessionId);
+    if (transport) {
+      this.mcpSessionActivity.set(sessionId, Date.now());
+    }
+    return transport;
+  }
+
+  addMcpSession(sessionId, transport) {
+    this.mcpSessions.set(sessionId, transport);
+    this.mcpSessionActivity.set(sessionId, Date.now());
+  }
+
+  removeMcpSession(sessionId) {
+    this.mcpSessions.delete(sessionId);
+    this.mcpSessionActivity.delete(sessionId);
+  }
+
+  // Close sessions idle for longer than the configured time
+  async expireMcpSessions(now = Date.now()) {
+    const cutoff = now - this.mcpSessionConfig.idleSeconds * 1000;
+    for (const [sessionId, lastUsed] of [...this.mcpSessionActivity]) {
+      if (lastUsed >= cutoff) continue;
+
+      const transport = this.mcpSessions.get(sessionId);
+      this.removeMcpSession(sessionId);
+      try {
+        await transport?.close();
+      } catch (error) {
+        this.logger.warn('Closing idle MCP session failed', { sessionId, error: error.message });
+      }
+    }
+  }
+
+  // Whether another session may be opened, after expiring idle ones
+  async hasMcpSessionCapacity() {
+    await this.expireMcpSessions();
+    return this.mcpSessions.size < this.mcpSessionConfig.maxSessions;
+  }
+
+  // Expire sessions even when no requests arrive; the timer does not keep
+  // the process alive
+  startSweepingMcpSessions() {
+    if (this.mcpSweepTimer) return;
+    const interval = Math.min(this.mcpSessionConfig.idleSeconds, 60) * 1000;
+    this.mcpSweepTimer = setInterval(() => this.expireMcpSessions().catch(() => {}), interval);
+    this.mcpSweepTimer.unref();
+  }
+
+  sendTooManyMcpSessions(res) {
+    this.sendMcpError(res, 503, `Too many MCP sessions (maximum ${this.mcpSessionConfig.maxSessions}); end one with DELETE /mcp first`);
+  }
+
+  // Reply with a JSON-RPC error outside of any session
+  sendMcpError(res, status, message) {
+    res.status(status).json({
+      jsonrpc: '2.0',
+      error: { code: -32000, message },
+      id: null
+    });
+  }
+
+  // Native MCP over Streamable HTTP at /mcp. Clients that only speak the older
+  // HTTP+SSE transport open `GET /mcp` without a session id instead, and post
+  // their messages to /mcp/messages.
+  setupMcpEndpoint() {
+    this.app.post('/mcp', async (req, res) => {
+      try {
+        const sessionId = req.headers['mcp-session-id'];
+        let transport = sessionId ? this.getMcpSession(sessionId) : null;
+
+        if (sessionId && !transport) {
+          return this.sendMcpError(res, 404, `Unknown MCP session: ${sessionId}`);
+        }
+
+        if (!transport) {
+          if (!isInitializeRequest(req.body)) {
+            return this.sendMcpError(res, 400, 'No MCP session: send an initialize request first');
+          }
+          if (!(await this.hasMcpSessionCapacity())) {
+            return this.sendTooManyMcpSessions(res);
+          }
+
+          transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            onsessioninitialized: (id) => {
+              this.addMcpSession(id, transport);
+            }
+          });
+          transport.onclose = () => {
+            if (transport.sessionId) {
+              this.removeMcpSession(transport.sessionId);
+            }
+          };
+
+          await this.connectMcpSession(transport);
+        }
+
+        await transport.handleRequest(req, res, req.body);
+      } catch (error) {
+        this.logger.error('MCP request failed', { requestId: req.id, error: error.message });
+        if (!res.headersSent) {
+          this.sendMcpError(res, 500, 'Internal server error');
+        }
+      }
+    });
+
+    this.app.get('/mcp', async (req, res) => {
+      const sessionId = req.headers['mcp-session-id'];
+
+      try {
+        // Streamable HTTP: server-to-client stream of an existing session
+        if (sessionId) {
+          const transport = this.getMcpSession(sessionId);
+          if (!(transport instanceof StreamableHTTPServerTransport)) {
+            return this.sendMcpError(res, 404, `Unknown MCP session: ${sessionId}`);
+          }
+          return await transport.handleRequest(req, res);
+        }
+
+        // HTTP+SSE fallback: the stream announces where to post messages
+        if (!(await this.hasMcpSessionCapacity())) {
+          return this.sendTooManyMcpSessions(res);
+        }
+        const transport = new SSEServerTransport('/mcp/messages', res);
+        this.addMcpSession(transport.sessionId, transport);
+        res.on('close', () => {
+          this.removeMcpSession(transport.sessionId);
+        });
+
+        await this.connectMcpSession(transport);
+      } catch (error) {
+        this.logger.error('MCP stream failed', { requestId: req.id, error: error.message });
+        if (!res.headersSent) {
+          this.sendMcpError(res, 500, 'Internal server error');
+        }
+      }
+    });
+
+    this.app.post('/mcp/messages', async (req, res) => {
+      try {
+        const transport = this.getMcpSession(req.query.sessionId);
+        if (!(transport instanceof SSEServerTransport)) {
+          return this.sendMcpError(res, 404, `Unknown MCP session: ${req.query.sessionId}`);
+        }
+
+        await transport.handlePostMessage(req, res, req.body);
+      } catch (error) {
+        this.logger.error('MCP message failed', { requestId: req.id, error: error.message });
+        if (!res.headersSent) {
+          this.sendMcpError(res, 500, 'Internal server error');
+        }
+      }
+    });
+
+    this.app.delete('/mcp', async (req, res) => {
+      try {
+        const transport = this.getMcpSession(req.headers['mcp-session-id']);
+        if (!(transport instanceof StreamableHTTPServerTransport)) {
+          return this.sendMcpError(res, 404, 'Unknown MCP session');
+        }
+
+        await transport.handleRequest(req, res);
+      } catch (error) {
+        this.logger.error('MCP session close failed', { requestId: req.id, error: error.message });
+        if (!res.headersSent) {
+          this.sendMcpError(res, 500, 'Internal server error');
+        }
+      }
     });
   }
 
@@ -90,8 +378,8 @@ class OnyxMcpHttpServer {
       const httpTools = TOOL_DEFINITIONS.map(tool => {
         const httpTool = this.convertToolToHttpFormat(tool);
         
-        // Special handling for list_github_repos which uses GET
-        if (tool.name === 'list_github_repos') {
+        // Tools without a request body use GET
+        if (GET_TOOLS.has(tool.name)) {
           httpTool.method = 'GET';
         }
         
@@ -109,21 +397,11 @@ class OnyxMcpHttpServer {
       const handler = async (req, res) => {
         try {
           const args = method === 'GET' ? req.query : req.body;
-          
-          // Validate required parameters based on tool definition
-          const toolDef = TOOL_DEFINITIONS.find(t => t.name === toolName);
-          if (toolDef && toolDef.inputSchema && toolDef.inputSchema.required) {
-            for (const required of toolDef.inputSchema.required) {
-              if (!args[required]) {
-                return res.status(400).json({ 
-                  error: `${required} parameter is required` 
-                });
-              }
-            }
-          }
-          
-          const result = await this.mcpImpl.executeToolForHttp(toolName, args);
-          res.json(result);
+
+          // Arguments are validated against the tool's schema by the shared
+          // implementation; query strings only carry strings
+          const result = await this.mcpImpl.executeToolForHttp(toolName, args, { coerce: method === 'GET' });
+          res.status(result.validationErrors ? 400 : 200).json(result);
         } catch (error) {
           res.status(500).json({ error: error.message });
         }
@@ -138,14 +416,85 @@ class OnyxMcpHttpServer {
     
     // Create endpoints for all tools dynamically
     TOOL_DEFINITIONS.forEach(tool => {
-      // Special handling for list_github_repos which uses GET
-      const method = tool.name === 'list_github_repos' ? 'GET' : 'POST';
+      const method = GET_TOOLS.has(tool.name) ? 'GET' : 'POST';
       createToolEndpoint(tool.name, method);
     });
 
+    // Prometheus metrics
+    this.app.get('/metrics', (req, res) => {
+      res.type('text/plain; version=0.0.4').send(this.metrics.render());
+    });
+
+    // Re-read crawl data and search indexes after a crawl
+    this.app.post('/admin/reload', async (req, res) => {
+      try {
+        const summary = await this.mcpImpl.reloadData();
+        this.logger.info('Crawl data reloaded', { requestId: req.id, trigger: 'admin', ...summary });
+        res.json(summary);
+      } catch (error) {
+        this.logger.error('Crawl data reload failed', { requestId: req.id, error: error.message });
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // OpenAPI spec generated from the tool definitions, for typed clients
+    this.app.get('/openapi.json', (req, res) => {
+      res.json(this.getOpenApiSpec(req));
+    });
+
+    // Human-readable rendering of the same spec
+    if (this.apiDocsEnabled) {
+      this.app.get('/docs', (req, res) => {
+        res.type('html').send(renderApiDocs(this.getOpenApiSpec(req)));
+      });
+    }
+
+    // Documentation pages and crawled source files (MCP resources)
+    this.app.get('/resources', async (req, res) => {
+      try {
+        res.json(await this.mcpImpl.listResources(req.query.cursor));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/resources/templates', (req, res) => {
+      res.json({ resourceTemplates: RESOURCE_TEMPLATES });
+    });
+
+    this.app.get('/resources/read', async (req, res) => {
+      if (!req.query.uri) {
+        return res.status(400).json({ error: 'uri parameter is required' });
+      }
+
+      try {
+        res.json(await this.mcpImpl.readResource(req.query.uri));
+      } catch (error) {
+        res.status(404).json({ error: error.message });
+      }
+    });
+
+    // Prompt templates for common Onyx workflows (MCP prompts)
+    this.app.get('/prompts', (req, res) => {
+      res.json({ prompts: PROMPT_DEFINITIONS });
+    });
+
+    this.app.post('/prompts/:name', async (req, res) => {
+      const prompt = PROMPT_DEFINITIONS.find(p => p.name === req.params.name);
+      if (!prompt) {
+        return res.status(404).json({ error: `Unknown prompt: ${req.params.name}` });
+      }
+
+      try {
+        res.json(await this.mcpImpl.getPrompt(prompt.name, req.body));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
     // Error handling middleware
     this.app.use((error, req, res, next) => {
-      console.error('Server error:', error);
+      this.logger.error('Server error', { requestId: req.id, error: error.message, stack: error.stack });
       res.status(500).json({
         error: 'Internal server error',
         message: error.message
@@ -156,9 +505,20 @@ class OnyxMcpHttpServer {
     this.app.use((req, res) => {
       const availableEndpoints = [
         'GET /health',
+        'POST /mcp',
+        'GET /mcp',
         'GET /tools',
+        'GET /openapi.json',
+        'GET /metrics',
+        'POST /admin/reload',
+        ...(this.apiDocsEnabled ? ['GET /docs'] : []),
+        'GET /resources',
+        'GET /resources/templates',
+        'GET /resources/read?uri=...',
+        'GET /prompts',
+        ...PROMPT_DEFINITIONS.map(prompt => `POST /prompts/${prompt.name}`),
         ...TOOL_DEFINITIONS.map(tool => {
-          const method = tool.name === 'list_github_repos' ? 'GET' : 'POST';
+          const method = GET_TOOLS.has(tool.name) ? 'GET' : 'POST';
           return `${method} /tools/${tool.name}`;
         })
       ];
@@ -171,14 +531,29 @@ class OnyxMcpHttpServer {
   }
 
   start() {
+    this.startSweepingMcpSessions();
+    this.mcpImpl.watchData((summary, error) => {
+      if (error) {
+        this.logger.error('Crawl data reload failed', { trigger: 'watch', error: error.message });
+      } else {
+        this.logger.info('Crawl data reloaded', { trigger: 'watch', ...summary });
+      }
+    });
+
     return new Promise((resolve, reject) => {
       const server = this.app.listen(this.port, (error) => {
         if (error) {
           reject(error);
         } else {
           console.log(`🌐 Onyx MCP HTTP Server running on port ${this.port}`);
+          console.log(`🔌 MCP endpoint: http://localhost:${this.port}/mcp`);
           console.log(`📋 API Documentation: http://localhost:${this.port}/tools`);
+          console.log(`📘 OpenAPI spec: http://localhost:${this.port}/openapi.json`);
           console.log(`❤️  Health Check: http://localhost:${this.port}/health`);
+          console.log(`📈 Metrics: http://localhost:${this.port}/metrics`);
+          if (this.securityConfig.apiKeys.length === 0) {
+            console.log('🔓 No API keys configured: all endpoints are open (set ONYX_MCP_API_KEYS to require keys)');
+          }
           resolve(server);
         }
       });
@@ -6,11 +6,22 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { TOOL_DEFINITIONS, SharedMcpImplementation } from './core/mcp-shared.js';
+import {
+  TOOL_DEFINITIONS,
+  RESOURCE_TEMPLATES,
+  PROMPT_DEFINITIONS,
+  ONYX_LANGUAGE_CONTEXT,
+  SharedMcpImplementation
+} from './core/mcp-shared.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -19,14 +30,19 @@ export async function startMcpServer(devMode = false) {
   await server.start();
 }
 
+// One MCP protocol server. The stdio server creates its own implementation;
+// the HTTP server creates one of these per session around a shared one.
 class OnyxMcpServer {
-  constructor() {
+  constructor(mcpImpl = null) {
     this.dataDir = path.join(__dirname, '../data');
-    this.mcpImpl = new SharedMcpImplementation(this.dataDir);
+    this.mcpImpl = mcpImpl || new SharedMcpImplementation(this.dataDir);
     
     this.server = new Server(
       { name: 'onyx-enhanced-mcp', version: '2.0.0' },
-      { capabilities: { tools: {} } }
+      {
+        capabilities: { tools: {}, resources: {}, prompts: {} },
+        instructions: ONYX_LANGUAGE_CONTEXT
+      }
     );
     
     this.setupHandlers();
@@ -45,12 +61,50 @@ class OnyxMcpServer {
       const { name, arguments: args } = request.params;
       return await this.mcpImpl.executeTool(name, args);
     });
+
+    // Documentation pages and crawled source files
+    this.server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      return await this.mcpImpl.listResources(request.params?.cursor);
+    });
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return {
+        resourceTemplates: RESOURCE_TEMPLATES
+      };
+    });
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      return await this.mcpImpl.readResource(request.params.uri);
+    });
+
+    // Prompt templates for common Onyx workflows
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return {
+        prompts: PROMPT_DEFINITIONS
+      };
+    });
+
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+      return await this.mcpImpl.getPrompt(name, args);
+    });
   }
 
-  async start() {
-    const transport = new StdioServerTransport();
+  async connect(transport) {
     await this.server.connect(transport);
   }
+
+  async start() {
+    this.mcpImpl.watchData((summary, error) => {
+      if (error) {
+        console.error('Failed to reload crawl data:', error.message);
+      } else {
+        console.error(`Reloaded crawl data (${summary.reloaded.join(', ') || 'nothing loaded yet'})` +
+          (summary.failed.length > 0 ? `; kept previous ${summary.failed.join(', ')}` : ''));
+      }
+    });
+    await this.connect(new StdioServerTransport());
+  }
 }
 
 export { OnyxMcpServer };
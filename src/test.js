@@ -191,6 +191,1095 @@ class TestRunner {
       }
     });
 
+    // Test 8: BM25 ranking of multi-term queries
+    await this.test('Search index ranks multi-term queries', async () => {
+      const { SearchIndex } = await import('./core/search-index.js');
+      const index = new SearchIndex();
+
+      index.addDocument({ title: 'Allocators', body: 'Use an allocator with defer and free to release memory.' }, { id: 'memory' });
+      index.addDocument({ title: 'Defer', body: 'Defer runs a statement at the end of the scope.' }, { id: 'defer' });
+      index.addDocument({ title: 'Strings', body: 'Working with str and string builders.' }, { id: 'strings' });
+
+      const hits = index.search('allocator defer free');
+      if (hits.length !== 2 || hits[0].document.id !== 'memory') {
+        throw new Error(`Unexpected ranking: ${JSON.stringify(hits.map(h => h.document.id))}`);
+      }
+    });
+
+    // Test 9: Persisted index round trip
+    await this.test('Search index survives serialization', async () => {
+      const { SearchIndex, buildDocsIndex } = await import('./core/search-index.js');
+      const index = buildDocsIndex([
+        { url: 'https://docs.onyxlang.io/book/a.html', title: 'Arrays', content: 'Dynamic arrays grow.', headings: [] }
+      ]);
+
+      const restored = SearchIndex.fromJSON(JSON.parse(JSON.stringify(index)));
+      const hits = restored ? restored.search('dynamic array') : [];
+      if (hits.length !== 1 || hits[0].score !== index.search('dynamic array')[0].score) {
+        throw new Error('Restored index does not match the original');
+      }
+
+      if (SearchIndex.fromJSON({ ...index.toJSON(), version: -1 }) !== null) {
+        throw new Error('Index with a different version should be rejected');
+      }
+    });
+
+    // Test 10: Fuzzy symbol matching
+    await this.test('Fuzzy matching suggests near-miss symbols', async () => {
+      const { findClosestSymbols } = await import('./core/fuzzy.js');
+      const names = ['printf', 'println', 'String_Builder', 'alloc'];
+
+      const [typo] = findClosestSymbols('prntf', names);
+      const [camel] = findClosestSymbols('StringBuilder', names);
+      if (typo?.name !== 'printf' || camel?.name !== 'String_Builder') {
+        throw new Error(`Unexpected suggestions: ${typo?.name}, ${camel?.name}`);
+      }
+    });
+
+    // Test 11: API reference symbol extraction
+    await this.test('Package reference pages yield symbol records', async () => {
+      const cheerio = await import('cheerio');
+      const { DocumentationCrawler } = await import('./crawlers/docs.js');
+      const crawler = new DocumentationCrawler();
+      const $ = cheerio.load(`<main>
+        <h3 id="split">split</h3>
+        <pre><code>split :: (s: str, delim: u8) -> [] str</code></pre>
+        <p>Splits a string.</p>
+        <h3 id="String_Builder">String_Builder</h3>
+        <pre><code>String_Builder :: struct { data: [..] u8; }</code></pre>
+      </main>`);
+
+      const symbols = crawler.extractPackageSymbols($, 'https://docs.onyxlang.io/packages/core.string.html');
+      const split = symbols.find(s => s.qualifiedName === 'core.string.split');
+      if (symbols.length !== 2 || split?.kind !== 'proc' || split.doc !== 'Splits a string.') {
+        throw new Error(`Unexpected symbols: ${JSON.stringify(symbols)}`);
+      }
+    });
+
+    // Test 12: Onyx declaration parser
+    await this.test('Onyx parser extracts top-level declarations', async () => {
+      const { parseOnyxDeclarations } = await import('./core/onyx-parser.js');
+      const source = [
+        '// Doubles a value',
+        'double :: (x: $T) -> T { return x * 2; }',
+        '',
+        'Outer :: struct {',
+        '    inner: struct { a: i32 };',
+        '}',
+        '',
+        '#foreign "host" {',
+        '    host_log :: (msg: cstr) -> void ---',
+        '}',
+        '',
+        'swap :: macro (a: ^$T, b: ^T) { t := *a; *a = *b; *b = t; }'
+      ].join('\n');
+
+      const decls = parseOnyxDeclarations(source);
+      const summary = decls.map(d => `${d.name}:${d.kind}:${d.line}-${d.endLine}`).join(',');
+      if (summary !== 'double:proc:2-2,Outer:struct:4-6,host_log:proc:9-9,swap:macro:12-12') {
+        throw new Error(`Unexpected declarations: ${summary}`);
+      }
+      if (decls[0].docComment !== 'Doubles a value' || !decls[0].polymorphic || !decls[2].foreign) {
+        throw new Error('Declaration metadata not extracted');
+      }
+    });
+
+    // Test 13: GitHub rate limit backoff
+    await this.test('GitHub crawler backs off when rate limited', async () => {
+      const GitHubCrawler = (await import('./crawlers/github.js')).default;
+      const crawler = new GitHubCrawler({ maxRetries: 2 });
+      const waits = [];
+      crawler.sleep = async (ms) => { waits.push(ms); };
+
+      const responses = [
+        new Response('{}', { status: 403, headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 30) } }),
+        new Response('{}', { status: 502 }),
+        new Response('{"ok":true}', { status: 200, headers: { 'x-ratelimit-remaining': '59' } })
+      ];
+      const originalFetch = globalThis.fetch;
+      globalThis.fetch = async () => responses.shift();
+
+      try {
+        const data = await crawler.fetchFromGitHub('https://api.github.com/test');
+        if (!data.ok || waits.length !== 2 || waits[0] < 1000 || crawler.rateLimit.remaining !== 59) {
+          throw new Error(`Unexpected backoff: ${JSON.stringify(waits)}`);
+        }
+
+        // Retry-After as an HTTP date, or unparseable
+        const dated = new Response('{}', { status: 429, headers: { 'retry-after': new Date(Date.now() + 30000).toUTCString() } });
+        const dateDelay = crawler.getRetryDelay(dated, 0);
+        const invalidDelay = crawler.getRetryDelay(new Response('{}', { status: 429, headers: { 'retry-after': 'soon' } }), 2);
+        if (!(dateDelay > 25000 && dateDelay <= 30000) || invalidDelay !== 4000) {
+          throw new Error(`Unexpected Retry-After delays: ${dateDelay}, ${invalidDelay}`);
+        }
+
+        // Secondary limits are named in the body, not the status text
+        waits.length = 0;
+        responses.push(
+          new Response('{"message":"You have exceeded a secondary rate limit."}', { status: 403, statusText: 'Forbidden', headers: { 'x-ratelimit-remaining': '40' } }),
+          new Response('{"ok":true}', { status: 200 })
+        );
+        const retried = await crawler.fetchFromGitHub('https://api.github.com/test');
+        if (!retried.ok || waits.join() !== '60000') {
+          throw new Error(`Secondary rate limit was not retried: ${JSON.stringify(waits)}`);
+        }
+        responses.push(new Response('{"message":"Resource not accessible"}', { status: 403, statusText: 'Forbidden' }));
+        const forbidden = await crawler.fetchFromGitHub('https://api.github.com/test').catch(error => error);
+        if (!forbidden.message?.includes('Resource not accessible') || waits.length !== 1) {
+          throw new Error(`Plain 403 was retried: ${forbidden.message}`);
+        }
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
+    // Test 14: Local directory crawl
+    await this.test('Local crawler indexes directories under a local: repository', async () => {
+      const os = await import('os');
+      const { LocalCrawler } = await import('./crawlers/local.js');
+      const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'onyx-local-'));
+
+      try {
+        const projectDir = path.join(tmpDir, 'project');
+        await fs.mkdir(path.join(projectDir, 'src'), { recursive: true });
+        await fs.mkdir(path.join(projectDir, '.git'), { recursive: true });
+        await fs.writeFile(path.join(projectDir, 'src/main.onyx'), 'main :: () { println("hi"); }\n');
+        await fs.writeFile(path.join(projectDir, '.git/config.onyx'), 'ignored :: () {}\n');
+        await fs.writeFile(path.join(projectDir, 'notes.bin'), 'binary');
+
+        const crawler = new LocalCrawler({ outputDir: path.join(tmpDir, 'out'), debug: false });
+        crawler.debugMode = false;
+        await crawler.crawlDirectories([projectDir]);
+
+        const files = JSON.parse(await fs.readFile(path.join(tmpDir, 'out/onyx-code.json'), 'utf8'));
+        const patterns = JSON.parse(await fs.readFile(path.join(tmpDir, 'out/code-patterns.json'), 'utf8'));
+        if (files.length !== 1 || files[0].repository !== 'local:project' || files[0].path !== 'src/main.onyx') {
+          throw new Error(`Unexpected files: ${JSON.stringify(files.map(f => f.path))}`);
+        }
+        if (!patterns.functions.some(p => p.name === 'main')) {
+          throw new Error('Local code was not analyzed');
+        }
+
+        // Another directory with the same basename gets its own repository,
+        // and crawling the first one again replaces only its own data
+        const otherDir = path.join(tmpDir, 'other', 'project');
+        await fs.mkdir(otherDir, { recursive: true });
+        await fs.writeFile(path.join(otherDir, 'other.onyx'), 'other :: () {}\n');
+        const originalLog = console.log;
+        console.log = () => {};
+        await new LocalCrawler({ outputDir: path.join(tmpDir, 'out'), debug: false }).crawlDirectories([otherDir]);
+        await new LocalCrawler({ outputDir: path.join(tmpDir, 'out'), debug: false }).crawlDirectories([projectDir]);
+        console.log = originalLog;
+        const repositories = JSON.parse(await fs.readFile(path.join(tmpDir, 'out/onyx-code.json'), 'utf8'))
+          .map(file => `${file.repository}:${file.path}`).sort();
+        if (repositories.join() !== 'local:project-2:other.onyx,local:project:src/main.onyx') {
+          throw new Error(`Same-named directories collided: ${repositories.join()}`);
+        }
+      } finally {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+      }
+    });
+
+    // Test 15: MCP resources
+    await this.test('Docs pages and source files are readable as resources', async () => {
+      const os = await import('os');
+      const { SharedMcpImplementation } = await import('./core/mcp-shared.js');
+      const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'onyx-resources-'));
+
+      try {
+        await fs.mkdir(path.join(tmpDir, 'github'));
+        await fs.writeFile(path.join(tmpDir, 'onyx-docs.json'), JSON.stringify([
+          { url: 'https://docs.onyxlang.io/book/memory.html', title: 'Memory', content: 'Allocators manage memory.', codeExamples: [] },
+          { url: 'https://onyxlang.io/book/memory.html', title: 'Website memory', content: 'Same path, other host.', codeExamples: [] }
+        ]));
+        await fs.writeFile(path.join(tmpDir, 'github/onyx-code.json'), JSON.stringify([
+          { repository: 'onyx-lang/onyx', path: 'core/alloc.onyx', code: 'x :: 1;'.repeat(300), fileType: 'source' },
+          { repository: 'local:project', path: 'src/main.onyx', code: 'main :: () {}', fileType: 'source' }
+        ]));
+
+        const impl = new SharedMcpImplementation(tmpDir);
+        const { resources } = await impl.listResources();
+        const uris = resources.map(r => r.uri).join(',');
+        if (uris !== 'onyx-docs://docs.onyxlang.io/book/memory.html,onyx-docs://onyxlang.io/book/memory.html,onyx-github://onyx-lang/onyx/core/alloc.onyx,onyx-github://local:project/src/main.onyx') {
+          throw new Error(`Unexpected resources: ${uris}`);
+        }
+
+        const file = await impl.readResource('onyx-github://onyx-lang/onyx/core/alloc.onyx');
+        const page = await impl.readResource('onyx-docs://docs.onyxlang.io/book/memory.html');
+        const otherHost = await impl.readResource('onyx-docs://onyxlang.io/book/memory.html');
+        const local = await impl.readResource('onyx-github://local:project/src/main.onyx');
+        if (file.contents[0].text.length !== 2100 || !page.contents[0].text.startsWith('# Memory') ||
+            !otherHost.contents[0].text.startsWith('# Website memory') || local.contents[0].text !== 'main :: () {}') {
+          throw new Error('Resource contents not returned in full');
+        }
+      } finally {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+      }
+    });
+
+    // Test 16: MCP prompts
+    await this.test('Prompts are filled with matching doc sections', async () => {
+      const { buildPrompt } = await import('./core/prompts.js');
+      const searchEngine = {
+        searchDocSections: async (query) => query.includes('allocator') ? [{
+          document: { title: 'Memory', section: 'Allocators', url: 'https://docs.onyxlang.io/book/memory.html#allocators', content: 'Every allocation goes through an allocator.' }
+        }] : []
+      };
+
+      const prompt = await buildPrompt('port_c_to_onyx', { code: 'int *p = malloc(4); free(p);' }, searchEngine);
+      const text = prompt.messages[0].content.text;
+      if (!text.includes('```c\nint *p = malloc(4); free(p);') || !text.includes('### Memory - Allocators')) {
+        throw new Error(`Unexpected prompt: ${text}`);
+      }
+
+      const missing = await buildPrompt('review_memory_leaks', {}, searchEngine).catch(error => error);
+      if (!(missing instanceof Error) || !missing.message.includes('code')) {
+        throw new Error('Missing required argument was not rejected');
+      }
+    });
+
+    // Test 17: Structured tool results
+    await this.test('Tools return structured results over MCP and HTTP', async () => {
+      const os = await import('os');
+      const { SharedMcpImplementation, summarizeToolResult } = await import('./core/mcp-shared.js');
+      const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'onyx-results-'));
+
+      try {
+        await fs.writeFile(path.join(tmpDir, 'onyx-docs.json'), JSON.stringify([{
+          url: 'https://docs.onyxlang.io/book/defer.html',
+          title: 'Defer',
+          content: 'Defer runs code.\n\nIt runs at scope exit.',
+          codeExamples: []
+        }]));
+
+        const impl = new SharedMcpImplementation(tmpDir);
+        const httpResult = await impl.executeToolForHttp('search_onyx_docs', { query: 'defer' });
+        if (httpResult.results?.[0]?.title !== 'Defer') {
+          throw new Error(`Unexpected HTTP result: ${JSON.stringify(httpResult)}`);
+        }
+
+        const mcpResult = await impl.executeTool('search_onyx_docs', { query: 'defer' });
+        if (mcpResult.structuredContent?.results?.[0]?.title !== 'Defer' || mcpResult.isError) {
+          throw new Error('MCP result is missing structured content');
+        }
+
+        // The text content is a short summary, not the JSON again
+        const text = mcpResult.content[0].text;
+        if (!text.startsWith('1 result for "defer"') || !text.includes('https://docs.onyxlang.io/book/defer.html') || text.includes('"results"')) {
+          throw new Error(`Unexpected text summary: ${text}`);
+        }
+        const runText = summarizeToolResult({ success: false, exitCode: 1, stdout: 'hi\n', stderr: 'boom\n', diagnostics: [] });
+        if (runText !== 'Failed (exit code 1)\n\nstdout:\nhi\n\nstderr:\nboom') {
+          throw new Error(`Unexpected run summary: ${runText}`);
+        }
+
+        const unknown = await impl.executeTool('no_such_tool', {});
+        if (!unknown.isError || !unknown.structuredContent.error.includes('no_such_tool')) {
+          throw new Error('Unknown tool was not reported as an error');
+        }
+      } finally {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+      }
+    });
+
+    // Test 18: Execution sandbox
+    await this.test('Sandbox refuses unisolated runs and caps output', async () => {
+      const { Sandbox, getSandboxConfig } = await import('./core/sandbox.js');
+      const config = { ...getSandboxConfig({}), mode: 'none', maxOutputBytes: 100 };
+
+      const strict = new Sandbox(config);
+      const workDir = await strict.createWorkDir();
+      try {
+        const refused = await strict.run('sh', ['-c', 'echo hi'], { workDir }).catch(error => error);
+        if (!(refused instanceof Error) || !refused.message.includes('ONYX_MCP_ALLOW_UNSANDBOXED')) {
+          throw new Error('Run without isolation was not refused');
+        }
+
+        process.env.ONYX_MCP_TEST_SECRET = 'secret';
+        const permissive = new Sandbox({ ...config, allowUnsandboxed: true });
+        const result = await permissive.run('sh', ['-c', 'pwd; env; yes'], { workDir, timeoutSeconds: 5 });
+        delete process.env.ONYX_MCP_TEST_SECRET;
+
+        if (!result.outputTruncated || result.stdout.length > 100 || result.timedOut) {
+          throw new Error(`Output was not capped: ${JSON.stringify(result).slice(0, 200)}`);
+        }
+        if (!result.stdout.startsWith(workDir) || result.stdout.includes('ONYX_MCP_TEST_SECRET')) {
+          throw new Error('Run did not use a clean environment in its own directory');
+        }
+        if (result.filesystemIsolated !== false) {
+          throw new Error('Run without isolation was reported as filesystem-isolated');
+        }
+
+        // Bound directories stay writable, and the command can run in one
+        const bwrap = await strict.buildIsolatedCommand('bwrap', ['onyx'], workDir, { cwd: '/srv/project', bind: ['/srv/project'] });
+        if (!bwrap.join(' ').includes('--bind /srv/project /srv/project --chdir /srv/project --')) {
+          throw new Error(`Bound directory missing from bwrap command: ${bwrap.join(' ')}`);
+        }
+
+        // `unshare` leaves the filesystem open, so `auto` never picks it
+        const detected = await new Sandbox({ ...config, mode: 'auto' }).detectIsolation();
+        if (!['bwrap', 'none'].includes(detected)) {
+          throw new Error(`auto picked ${detected}`);
+        }
+      } finally {
+        await strict.removeWorkDir(workDir);
+      }
+    });
+
+    // Test 19: Workspace confinement
+    await this.test('Build tools reject paths outside the workspace', async () => {
+      const os = await import('os');
+      const { Workspace, getWorkspaceRoots } = await import('./core/workspace.js');
+      const { SharedMcpImplementation } = await import('./core/mcp-shared.js');
+      const tmpDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'onyx-workspace-')));
+
+      try {
+        // Without configured roots, only the data/workspace directory is open
+        const defaults = getWorkspaceRoots({});
+        if (defaults.length !== 1 || defaults[0] !== path.join(this.dataDir, 'workspace')) {
+          throw new Error(`Unexpected default workspace roots: ${defaults.join(', ')}`);
+        }
+
+        const root = path.join(tmpDir, 'root');
+        await fs.mkdir(path.join(root, 'project'), { recursive: true });
+        await fs.symlink(tmpDir, path.join(root, 'escape'));
+
+        const workspace = new Workspace([root]);
+        const inside = await workspace.resolveFile(await workspace.resolveDirectory('project'), 'main.onyx', { mustExist: false });
+        if (inside !== path.join(root, 'project', 'main.onyx')) {
+          throw new Error(`Unexpected resolved path: ${inside}`);
+        }
+
+        for (const [directory, filename] of [['project', '../../outside.onyx'], ['escape', 'main.onyx'], ['/etc', 'main.onyx']]) {
+          const error = await workspace.resolveDirectory(directory)
+            .then(dir => workspace.resolveFile(dir, filename, { mustExist: false }))
+            .catch(error => error);
+          if (!(error instanceof Error) || !error.message.includes('outside the allowed workspace')) {
+            throw new Error(`${directory}/${filename} was not rejected`);
+          }
+        }
+
+        const impl = new SharedMcpImplementation(tmpDir);
+        impl.workspace = workspace;
+        const result = await impl.buildOnyxCode('main :: () {}', '../../.bashrc', 'project');
+        if (result.success || !result.error.includes('outside the allowed workspace') || await this.fileExists(path.join(tmpDir, '.bashrc'))) {
+          throw new Error(`Escaping build was not rejected: ${JSON.stringify(result)}`);
+        }
+
+        // Modules from the workspace run from a copy inside the sandbox
+        await fs.writeFile(path.join(root, 'project', 'app.wasm'), Buffer.from([0, 97, 115, 109]));
+        let seen = null;
+        impl.sandbox = {
+          config: impl.sandbox.config,
+          createWorkDir: async () => await fs.mkdtemp(path.join(tmpDir, 'run-')),
+          removeWorkDir: async (dir) => await fs.rm(dir, { recursive: true, force: true }),
+          run: async (command, args, { workDir, cwd, bind }) => {
+            seen = { command, args, workDir, cwd, bind, copied: await this.fileExists(path.join(workDir, 'app.wasm')) };
+            return { success: true, exitCode: 0, stdout: 'ok', stderr: '', sandbox: 'bwrap', filesystemIsolated: true };
+          }
+        };
+        const run = await impl.runWasm('app.wasm', 'project', 5, { args: ['x'] });
+        if (!run.success || seen?.command !== 'onyx' || seen.args.join(' ') !== 'run app.wasm -- x' || !seen.copied ||
+            !run.filesystemIsolated || await this.fileExists(seen.workDir)) {
+          throw new Error(`WASM was not run in the sandbox: ${JSON.stringify({ run, seen })}`);
+        }
+
+        // Builds run in the sandbox too, in the bound workspace directory
+        const projectDir = path.join(root, 'project');
+        const build = await impl.buildOnyxCode('main :: () {}', 'main.onyx', 'project');
+        if (!build.success || seen.args.join(' ') !== 'build main.onyx' || seen.cwd !== projectDir ||
+            seen.bind?.join() !== projectDir || await this.fileExists(seen.workDir)) {
+          throw new Error(`Build did not run in the sandbox: ${JSON.stringify({ build, seen })}`);
+        }
+        await impl.onyxPkgBuild('project');
+        if (seen.args.join(' ') !== 'pkg build' || seen.cwd !== projectDir) {
+          throw new Error(`Package build did not run in the sandbox: ${JSON.stringify(seen)}`);
+        }
+      } finally {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+      }
+    });
+
+    // Test 20: Compiler diagnostics
+    await this.test('Compiler output is parsed into linked diagnostics', async () => {
+      const { parseDiagnostics, attachDocLinks } = await import('./core/diagnostics.js');
+      const output = [
+        "(/tmp/onyx-run-x/main.onyx:2,5) Unable to resolve symbol 'prnt'.",
+        ' 2 |     prnt("hi");',
+        '         ^^^^',
+        '',
+        'lib.onyx:7:1: warning: Unused variable \'x\'.'
+      ].join('\n');
+
+      const diagnostics = parseDiagnostics(output, { 'main.onyx': 'main :: () {\n    prnt("hi");\n}', 'lib.onyx': 'a\n'.repeat(6) + 'x := 1;' });
+      const [error, warning] = diagnostics;
+      if (diagnostics.length !== 2 || error.line !== 2 || error.column !== 5 || error.severity !== 'error' ||
+          error.message !== "Unable to resolve symbol 'prnt'." || !error.excerpt.includes('^^^^')) {
+        throw new Error(`Unexpected error diagnostic: ${JSON.stringify(error)}`);
+      }
+      if (warning.severity !== 'warning' || warning.file !== 'lib.onyx' || !warning.excerpt.endsWith('| x := 1;')) {
+        throw new Error(`Unexpected warning diagnostic: ${JSON.stringify(warning)}`);
+      }
+
+      const queries = [];
+      await attachDocLinks(diagnostics, {
+        searchDocSections: async (query) => {
+          queries.push(query);
+          return [{ document: { title: 'Symbols', section: 'Scope', url: 'https://docs.onyxlang.io/book/scope.html' } }];
+        }
+      });
+      if (queries[0] !== 'Unable to resolve symbol .' || error.docs[0].url !== 'https://docs.onyxlang.io/book/scope.html') {
+        throw new Error(`Unexpected doc links: ${JSON.stringify(queries)}`);
+      }
+    });
+
+    // Test 21: Multi-file projects
+    await this.test('Multi-file projects are materialized and return artifacts', async () => {
+      const { resolveProject, resolveFlags } = await import('./core/projects.js');
+      const { SharedMcpImplementation } = await import('./core/mcp-shared.js');
+
+      for (const args of [{ files: { '../escape.onyx': '' } }, { files: { 'a.onyx': '', 'b.onyx': '' } }, { files: { 'a.onyx': '' }, entry: 'b.onyx' }]) {
+        if (!(() => { try { resolveProject(args); } catch { return true; } })()) {
+          throw new Error(`Invalid project was accepted: ${JSON.stringify(args)}`);
+        }
+      }
+      if (!(() => { try { resolveFlags(['-o', '/tmp/out.wasm']); } catch { return true; } })()) {
+        throw new Error('Flag writing outside the project was accepted');
+      }
+
+      const impl = new SharedMcpImplementation(this.dataDir);
+      let seen = null;
+      impl.sandbox = {
+        createWorkDir: async () => await fs.mkdtemp(path.join((await import('os')).tmpdir(), 'onyx-project-')),
+        removeWorkDir: async (dir) => await fs.rm(dir, { recursive: true, force: true }),
+        run: async (command, args, { workDir }) => {
+          seen = { args, util: await fs.readFile(path.join(workDir, 'src/util.onyx'), 'utf8') };
+          await fs.writeFile(path.join(workDir, 'app.wasm'), Buffer.from([0, 97, 115, 109]));
+          return { success: false, exitCode: 1, stdout: '', stderr: `(${workDir}/src/util.onyx:1,1) Expected ';'.` };
+        }
+      };
+      impl.searchEngine = { searchDocSections: async () => [] };
+
+      const result = await impl.buildOnyxCode(undefined, undefined, undefined, 30, {
+        files: { 'main.onyx': '#load "src/util"', 'src/util.onyx': 'x := 1', 'onyx-pkg.kdl': '' },
+        flags: ['-o', 'app.wasm'],
+        returnArtifacts: true
+      });
+
+      if (seen?.args.join(' ') !== 'build -o app.wasm main.onyx' || seen.util !== 'x := 1') {
+        throw new Error(`Project was not materialized: ${JSON.stringify(seen)}`);
+      }
+      if (result.diagnostics[0]?.file !== 'src/util.onyx' || result.diagnostics[0].excerpt !== '   1 | x := 1') {
+        throw new Error(`Unexpected diagnostics: ${JSON.stringify(result.diagnostics)}`);
+      }
+      if (result.artifacts.length !== 1 || result.artifacts[0].path !== 'app.wasm' || result.artifacts[0].content !== 'AGFzbQ==') {
+        throw new Error(`Unexpected artifacts: ${JSON.stringify(result.artifacts)}`);
+      }
+
+      // Runs build first and parse only the build's output: compiler errors
+      // on stdout are diagnostics, what the program prints is not
+      const steps = [];
+      impl.sandbox.run = async (command, args) => {
+        steps.push(args.join(' '));
+        if (args[0] === 'run') return { success: true, exitCode: 0, stdout: '(main.onyx:1,1) Fake error.\n', stderr: '' };
+        return steps.length === 1
+          ? { success: false, exitCode: 1, stdout: '(main.onyx:1,1) Unknown symbol.', stderr: '' }
+          : { success: true, exitCode: 0, stdout: '', stderr: '' };
+      };
+      const failedRun = await impl.runOnyxCode('main :: () {}', 'main.onyx', 10);
+      const run = await impl.runOnyxCode('main :: () {}', 'main.onyx', 10, { args: ['x'] });
+      if (failedRun.diagnostics.length !== 1 || run.diagnostics.length !== 0 || run.stdout !== '(main.onyx:1,1) Fake error.\n') {
+        throw new Error(`Unexpected run diagnostics: ${JSON.stringify([failedRun.diagnostics, run.diagnostics])}`);
+      }
+      if (steps.join(' | ') !== 'build main.onyx -o .onyx-run.wasm | build main.onyx -o .onyx-run.wasm | run .onyx-run.wasm -- x') {
+        throw new Error(`Unexpected run steps: ${steps.join(' | ')}`);
+      }
+    });
+
+    // Test 22: Program input
+    await this.test('Runs receive stdin, arguments and allowlisted environment', async () => {
+      const { Sandbox, getSandboxConfig, resolveProgramInput } = await import('./core/sandbox.js');
+      const config = { ...getSandboxConfig({}), mode: 'none', allowUnsandboxed: true };
+
+      for (const env of [{ PATH: '/tmp' }, { LD_PRELOAD: 'x.so' }, { 'BAD-NAME': 'x' }]) {
+        if (!(() => { try { resolveProgramInput({ env }, config); } catch { return true; } })()) {
+          throw new Error(`Environment was accepted: ${JSON.stringify(env)}`);
+        }
+      }
+      if (!(() => { try { resolveProgramInput({ env: { OTHER: '1' } }, { ...config, envAllowlist: ['APP_*'] }); } catch { return true; } })()) {
+        throw new Error('Variable outside the allowlist was accepted');
+      }
+      if (!(() => { try { resolveProgramInput({ env: { APP_NAME: '1' } }, config); } catch { return true; } })()) {
+        throw new Error('Variable was accepted without an allowlist');
+      }
+
+      const sandbox = new Sandbox(config);
+      const workDir = await sandbox.createWorkDir();
+      try {
+        const input = resolveProgramInput({ stdin: 'hello\n', args: ['a b'], env: { APP_NAME: 'demo' } }, { ...config, envAllowlist: ['APP_*'] });
+        const result = await sandbox.run('sh', ['-c', 'read line; echo "$line $1 $APP_NAME"', 'sh', ...input.args], { workDir, ...input });
+        if (result.stdout.trim() !== 'hello a b demo') {
+          throw new Error(`Unexpected output: ${JSON.stringify(result.stdout)}`);
+        }
+
+        const killed = await sandbox.run('sh', ['-c', 'kill -TERM $$'], { workDir });
+        if (killed.signal !== 'SIGTERM' || killed.success) {
+          throw new Error(`Signal was not reported: ${JSON.stringify(killed)}`);
+        }
+
+        // Under bwrap the program's signal arrives as exit code 128 + n
+        const wrapped = new Sandbox({ ...config, mode: 'bwrap' });
+        wrapped.isolationPromise = Promise.resolve('bwrap');
+        wrapped.buildIsolatedCommand = async () => ['sh', '-c', 'exit 139'];
+        const segfault = await wrapped.run('program', [], { workDir });
+        if (segfault.signal !== 'SIGSEGV' || segfault.exitCode !== 139 || segfault.success) {
+          throw new Error(`Signal behind bwrap was not reported: ${JSON.stringify(segfault)}`);
+        }
+      } finally {
+        await sandbox.removeWorkDir(workDir);
+      }
+    });
+
+    // Test 23: REPL sessions
+    await this.test('Sessions accumulate code and report only new output', async () => {
+      const { SharedMcpImplementation } = await import('./core/mcp-shared.js');
+      const impl = new SharedMcpImplementation(this.dataDir);
+      impl.searchEngine = { searchDocSections: async () => [] };
+
+      // Stand-in for `onyx run`: prints the argument of every println call
+      const realSandbox = impl.sandbox;
+      impl.sandbox = {
+        config: realSandbox.config,
+        createWorkDir: () => realSandbox.createWorkDir(),
+        removeWorkDir: (dir) => realSandbox.removeWorkDir(dir),
+        run: async (command, args, { workDir }) => {
+          if (args[0] === 'build') {
+            const source = await fs.readFile(path.join(workDir, args[1]), 'utf8');
+            await fs.writeFile(path.join(workDir, args[3]), source);
+            return { success: true, exitCode: 0, stdout: '', stderr: '' };
+          }
+          const source = await fs.readFile(path.join(workDir, args[1]), 'utf8');
+          const ok = !source.includes('bad');
+          const stdout = [...source.matchAll(/println\("(\w+)"\)/g)].map(match => `${match[1]}\n`).join('');
+          return { success: ok, exitCode: ok ? 0 : 1, stdout, stderr: ok ? '' : 'error' };
+        }
+      };
+
+      const { sessionId, source } = await impl.callTool('create_onyx_session', { preamble: 'use core {*}' });
+      if (!sessionId || !source.startsWith('use core {*}')) {
+        throw new Error(`Session was not created: ${source}`);
+      }
+
+      const first = await impl.callTool('append_to_session', { sessionId, code: 'println("a")' });
+      const second = await impl.callTool('append_to_session', { sessionId, code: 'println("b")' });
+      const failed = await impl.callTool('append_to_session', { sessionId, code: 'bad :: 1', kind: 'declaration' });
+      if (first.output !== 'a\n' || second.output !== 'b\n' || failed.appended !== false) {
+        throw new Error(`Unexpected appends: ${JSON.stringify([first, second, failed])}`);
+      }
+
+      const run = await impl.callTool('run_session', { sessionId });
+      if (run.stdout !== 'a\nb\n' || run.source.includes('bad')) {
+        throw new Error(`Unexpected session run: ${JSON.stringify(run)}`);
+      }
+
+      // A call made during a run is rejected without touching the session,
+      // and a failed snippet removes only itself
+      const [bad, good] = await Promise.all([
+        impl.callTool('append_to_session', { sessionId, code: 'bad()' }),
+        impl.callTool('append_to_session', { sessionId, code: 'good()' })
+      ]);
+      const after = await impl.callTool('run_session', { sessionId });
+      if (bad.appended !== false || !good.error?.includes('already running') ||
+          after.source.includes('bad()') || after.source.includes('good()')) {
+        throw new Error(`Concurrent appends changed the session: ${JSON.stringify([bad, good, after.source])}`);
+      }
+
+      const { workDir } = impl.sessions.sessions.get(sessionId);
+      await impl.sessions.expireIdle(Date.now() + impl.sessions.config.idleSeconds * 1000 + 1);
+      const expired = await impl.callTool('run_session', { sessionId });
+      if (!expired.error?.includes('expired') || await this.fileExists(workDir)) {
+        throw new Error('Idle session did not expire');
+      }
+      if ((await impl.callTool('close_session', { sessionId })).closed !== false) {
+        throw new Error('Closing an expired session reported success');
+      }
+    });
+
+    // Test 24: Native MCP over Streamable HTTP
+    await this.test('HTTP server speaks MCP at /mcp with sessions', async () => {
+      const { OnyxMcpHttpServer } = await import('./mcp-http.js');
+      const originalLog = console.log;
+      console.log = () => {};
+      const httpServer = await new OnyxMcpHttpServer(0).start();
+      console.log = originalLog;
+
+      const url = `http://localhost:${httpServer.address().port}/mcp`;
+      const post = (body, sessionId) => fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json, text/event-stream',
+          ...(sessionId && { 'Mcp-Session-Id': sessionId })
+        },
+        body: JSON.stringify(body)
+      });
+
+      try {
+        const rejected = await post({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+        if (rejected.status !== 400) {
+          throw new Error(`Expected 400 without a session, got ${rejected.status}`);
+        }
+
+        const init = await post({
+          jsonrpc: '2.0', id: 1, method: 'initialize',
+          params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+        });
+        const sessionId = init.headers.get('mcp-session-id');
+        await init.text();
+        if (!sessionId) {
+          throw new Error('No session id returned from initialize');
+        }
+
+        const list = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, sessionId);
+        const text = await list.text();
+        if (list.status !== 200 || !text.includes('search_onyx_docs')) {
+          throw new Error(`Unexpected tools/list response: ${list.status} ${text.slice(0, 200)}`);
+        }
+      } finally {
+        await new Promise(resolve => httpServer.close(resolve));
+      }
+    });
+
+    // Test 25: HTTP authentication and rate limiting
+    await this.test('HTTP server enforces API key scopes and rate limits', async () => {
+      const { OnyxMcpHttpServer } = await import('./mcp-http.js');
+      const { getHttpSecurityConfig, RateLimiter } = await import('./http/security.js');
+
+      const limiter = new RateLimiter(60, 1);
+      if (!limiter.take('a', 0).allowed || limiter.take('a', 500).allowed || !limiter.take('a', 1000).allowed) {
+        throw new Error('Token bucket did not refill at the configured rate');
+      }
+
+      const config = getHttpSecurityConfig({ ONYX_MCP_API_KEYS: 'reader-key:search', ONYX_MCP_RATE_LIMIT_BURST: '6' });
+      const originalLog = console.log;
+      console.log = () => {};
+      const httpServer = await new OnyxMcpHttpServer(0, config).start();
+      console.log = originalLog;
+
+      const base = `http://localhost:${httpServer.address().port}`;
+      const request = (pathname, key, body) => fetch(`${base}${pathname}`, {
+        method: body ? 'POST' : 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json, text/event-stream',
+          ...(key && { Authorization: `Bearer ${key}` })
+        },
+        ...(body && { body: JSON.stringify(body) })
+      });
+
+      try {
+        const statuses = [
+          (await request('/health')).status,
+          (await request('/tools')).status,
+          (await request('/tools', 'wrong-key')).status,
+          (await request('/tools', 'reader-key')).status,
+          (await request('/tools/run_onyx_code', 'reader-key', { code: 'main :: () {}' })).status,
+          (await request('/mcp', 'reader-key', { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'run_wasm', arguments: {} } })).status
+        ];
+        if (statuses.join(',') !== '200,401,401,200,403,403') {
+          throw new Error(`Unexpected statuses: ${statuses.join(',')}`);
+        }
+
+        // Routes match case and trailing slashes exactly, so variants of
+        // protected paths reach no handler
+        const variants = [
+          (await request('/TOOLS/run_onyx_code', 'reader-key', { code: 'main :: () {}' })).status,
+          (await request('/tools/run_onyx_code/', 'reader-key', { code: 'main :: () {}' })).status,
+          (await request('/ADMIN/reload', 'reader-key', {})).status
+        ];
+        if (variants.join(',') !== '404,404,404') {
+          throw new Error(`Unexpected statuses for path variants: ${variants.join(',')}`);
+        }
+
+        const limited = await request('/tools', 'reader-key');
+        const body = await limited.json();
+        if (limited.status !== 429 || !limited.headers.get('retry-after') || body.error !== 'Too many requests') {
+          throw new Error(`Expected 429 after the burst, got ${limited.status}`);
+        }
+      } finally {
+        await new Promise(resolve => httpServer.close(resolve));
+      }
+    });
+
+    // Test 26: OpenAPI spec
+    await this.test('OpenAPI spec covers every tool route', async () => {
+      const { buildOpenApiSpec, renderApiDocs } = await import('./http/openapi.js');
+      const { TOOL_DEFINITIONS } = await import('./core/mcp-shared.js');
+
+      const spec = buildOpenApiSpec({ authEnabled: true });
+      for (const tool of TOOL_DEFINITIONS) {
+        const route = spec.paths[`/tools/${tool.name}`];
+        const operation = route?.post || route?.get;
+        if (!operation || !operation.responses[200]) {
+          throw new Error(`No operation for ${tool.name}`);
+        }
+        if (route.post && route.post.requestBody.content['application/json'].schema !== tool.inputSchema) {
+          throw new Error(`Request schema of ${tool.name} does not match its tool definition`);
+        }
+      }
+
+      const sources = spec.paths['/tools/search_all_sources'].post.requestBody.content['application/json'].schema.properties.sources;
+      if (sources.items?.type !== 'string' || !spec.security || buildOpenApiSpec().security) {
+        throw new Error('Nested schemas or security requirements are missing');
+      }
+      if (spec.paths['/tools/run_onyx_code'].post['x-scope'] !== 'execute' || spec.paths['/health'].get.security.length !== 0) {
+        throw new Error('Scopes are not documented');
+      }
+
+      const html = renderApiDocs(spec);
+      if (!html.includes('/tools/run_onyx_code') || html.includes('<Onyx')) {
+        throw new Error('Docs page was not rendered');
+      }
+
+      // The stdio bridge rebuilds schemas from /tools without losing element types
+      const { OnyxMcpHttpServer } = await import('./mcp-http.js');
+      const { McpHttpBridge } = await import('./bridge.js');
+      const runTool = new OnyxMcpHttpServer(0).convertToolToHttpFormat(TOOL_DEFINITIONS.find(tool => tool.name === 'run_onyx_code'));
+      const bridged = new McpHttpBridge().convertParametersToJsonSchema(runTool.parameters);
+      if (bridged.args.items?.type !== 'string' || bridged.flags.items?.type !== 'string' ||
+          bridged.env.additionalProperties?.type !== 'string' || bridged.files.additionalProperties?.type !== 'string') {
+        throw new Error(`Bridge dropped nested schemas: ${JSON.stringify(bridged)}`);
+      }
+    });
+
+    // Test 27: Tool argument validation
+    await this.test('Tool arguments are validated against their schemas', async () => {
+      const { validateArguments } = await import('./core/validation.js');
+      const { TOOL_DEFINITIONS, SharedMcpImplementation } = await import('./core/mcp-shared.js');
+      const schemaOf = (name) => TOOL_DEFINITIONS.find(tool => tool.name === name).inputSchema;
+
+      const { value, errors } = validateArguments(schemaOf('search_all_sources'), { query: '', limit: 0 });
+      if (errors.length !== 0 || value.limit !== 0 || value.sources.join() !== 'docs,github') {
+        throw new Error(`Falsy values or defaults mishandled: ${JSON.stringify({ value, errors })}`);
+      }
+
+      const invalid = validateArguments(schemaOf('search_all_sources'), { limit: 'abc', sources: ['docs', 'web'] });
+      const fields = invalid.errors.map(error => error.field).join(',');
+      if (fields !== 'query,sources[1],limit') {
+        throw new Error(`Unexpected field errors: ${JSON.stringify(invalid.errors)}`);
+      }
+
+      const coerced = validateArguments(schemaOf('search_onyx_docs'), { query: 'x', limit: '3' }, { coerce: true });
+      if (coerced.value.limit !== 3 || coerced.errors.length !== 0) {
+        throw new Error('Query-string value was not coerced');
+      }
+
+      // The same result over MCP and HTTP
+      const impl = new SharedMcpImplementation(this.dataDir);
+      const mcpResult = await impl.executeTool('list_github_repos', { sortBy: 'date' });
+      const httpResult = await impl.executeToolForHttp('list_github_repos', { sortBy: 'date' }, { coerce: true });
+      if (!mcpResult.isError || JSON.stringify(mcpResult.structuredContent) !== JSON.stringify(httpResult) ||
+          httpResult.validationErrors[0].field !== 'sortBy') {
+        throw new Error(`Validation results differ: ${JSON.stringify([mcpResult.structuredContent, httpResult])}`);
+      }
+    });
+
+    // Test 28: Metrics and structured logs
+    await this.test('Tool calls are recorded as metrics and logged without code', async () => {
+      const { Metrics } = await import('./http/metrics.js');
+      const { redactArguments } = await import('./http/logger.js');
+      const { SharedMcpImplementation } = await import('./core/mcp-shared.js');
+
+      const metrics = new Metrics();
+      const impl = new SharedMcpImplementation(this.dataDir);
+      impl.metrics = metrics;
+      impl.searchEngine = { searchDocs: async () => ({ results: [{}, {}, {}] }) };
+
+      await impl.executeTool('search_onyx_docs', { query: 'allocator' });
+      await impl.executeToolForHttp('search_onyx_docs', { query: 'allocator', limit: 'many' });
+      await impl.executeTool(`made_up_${Date.now()}`, {});
+      metrics.recordToolCall({ tool: 'run_onyx_code', transport: 'http', durationSeconds: 10, result: { success: false, timedOut: true } });
+
+      const text = metrics.render();
+      const expected = [
+        'onyx_mcp_tool_calls_total{tool="search_onyx_docs",transport="mcp"} 1',
+        'onyx_mcp_tool_errors_total{tool="search_onyx_docs",kind="invalid_arguments"} 1',
+        'onyx_mcp_search_results_bucket{tool="search_onyx_docs",le="5"} 1',
+        'onyx_mcp_execution_timeouts_total{tool="run_onyx_code"} 1',
+        'onyx_mcp_tool_calls_total{tool="unknown",transport="mcp"} 1'
+      ];
+      for (const line of expected) {
+        if (!text.includes(line)) {
+          throw new Error(`Missing metric: ${line}`);
+        }
+      }
+
+      if (text.includes('made_up_')) {
+        throw new Error('Unknown tool name became a metric label');
+      }
+
+      const redacted = redactArguments({ code: 'secret code', files: { 'a.onyx': 'x' }, timeout: 5 });
+      if (redacted.code !== '[redacted 11 bytes]' || typeof redacted.files !== 'string' || redacted.timeout !== 5) {
+        throw new Error(`Arguments were not redacted: ${JSON.stringify(redacted)}`);
+      }
+    });
+
+    // Test 29: Hot reload of crawl data
+    await this.test('Crawl data is reloaded after atomic rewrites', async () => {
+      const { SearchEngine } = await import('./core/search-engine.js');
+      const { writeFileAtomic } = await import('./core/atomic-write.js');
+      const os = await import('os');
+      const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'onyx-reload-'));
+      const symbolsPath = path.join(tmpDir, 'onyx-symbols.json');
+
+      const engine = new SearchEngine(tmpDir);
+      try {
+        await writeFileAtomic(symbolsPath, JSON.stringify([{ name: 'old' }]));
+        await engine.loadData('symbols');
+
+        await writeFileAtomic(symbolsPath, JSON.stringify([{ name: 'new' }]));
+        const summary = await engine.reload();
+        if ((await engine.loadData('symbols'))[0].name !== 'new' || summary.reloaded.join() !== 'symbols') {
+          throw new Error(`Reload did not swap in new data: ${JSON.stringify(summary)}`);
+        }
+
+        // A file that no longer parses keeps the data already loaded
+        await fs.writeFile(symbolsPath, '[{"name": ');
+        const originalError = console.error;
+        console.error = () => {};
+        const broken = await engine.reload();
+        console.error = originalError;
+        if (broken.failed.join() !== 'symbols' || (await engine.loadData('symbols'))[0].name !== 'new') {
+          throw new Error('Unreadable data replaced the loaded data');
+        }
+
+        // Data and index are swapped as a pair: broken data keeps its index
+        const docsPath = path.join(tmpDir, 'onyx-docs.json');
+        await writeFileAtomic(docsPath, JSON.stringify([{ url: 'https://docs.onyxlang.io/a', title: 'Arrays', content: 'Arrays grow.', headings: [] }]));
+        await engine.loadData('docs');
+        console.error = () => {};
+        const docsIndex = await engine.getIndex('docs');
+        await writeFileAtomic(docsPath, JSON.stringify([{ url: 'https://docs.onyxlang.io/b', title: 'Slices', content: 'Slices view.', headings: [] }]));
+        const pair = await engine.reload();
+        const slicesIndex = engine.indexes.docs;
+        await fs.writeFile(docsPath, '[{"url": ');
+        const brokenDocs = await engine.reload();
+        console.error = originalError;
+        if (pair.failed.join() !== 'symbols' || slicesIndex === docsIndex || engine.cache.docs[0].title !== 'Slices') {
+          throw new Error(`Docs index was not rebuilt with its data: ${JSON.stringify(pair)}`);
+        }
+        if (brokenDocs.failed.sort().join() !== 'docs,symbols' || engine.indexes.docs !== slicesIndex) {
+          throw new Error(`Broken docs replaced the loaded index: ${JSON.stringify(brokenDocs)}`);
+        }
+        await writeFileAtomic(docsPath, JSON.stringify([]));
+
+        // The watcher does not keep the process alive, so the wait does
+        let timer;
+        const reloaded = new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error('Watcher did not fire')), 5000);
+          engine.watch((result, error) => error ? reject(error) : resolve(result), 20);
+        });
+        await writeFileAtomic(symbolsPath, JSON.stringify([{ name: 'watched' }]));
+        await reloaded.finally(() => clearTimeout(timer));
+        if ((await engine.loadData('symbols'))[0].name !== 'watched') {
+          throw new Error('Watcher did not reload the rewritten file');
+        }
+
+        if ((await fs.readdir(tmpDir)).some(name => name.endsWith('.tmp'))) {
+          throw new Error('Temporary files were left behind');
+        }
+      } finally {
+        engine.unwatch();
+        await fs.rm(tmpDir, { recursive: true, force: true });
+      }
+    });
+
+    // Test 30: Documentation section splitting
+    await this.test('Documentation pages are split into heading sections', async () => {
+      const cheerio = await import('cheerio');
+      const { DocumentationCrawler } = await import('./crawlers/docs.js');
+      const crawler = new DocumentationCrawler();
+      const $ = cheerio.load(`<main>
+        <p>Arrays hold values of one type.</p>
+        <div class="wrapper">
+          <h2 id="dynamic-arrays">Dynamic arrays</h2>
+          <p>They grow as needed.</p>
+          <pre><code>arr: [..] i32; arr << 5;</code></pre>
+        </div>
+        <h2>Slices</h2>
+        <p>A view into an array.</p>
+      </main>`);
+
+      const url = 'https://docs.onyxlang.io/book/arrays.html';
+      const sections = crawler.extractSections($, $('main'), url, 'Arrays');
+      const summary = sections.map(section => `${section.heading}|${section.level}|${section.url}`).join(',');
+      const expected = [
+        `Arrays|1|${url}`,
+        `Dynamic arrays|2|${url}#dynamic-arrays`,
+        `Slices|2|${url}`
+      ].join(',');
+      if (summary !== expected) {
+        throw new Error(`Unexpected sections: ${summary}`);
+      }
+      if (sections[0].content !== 'Arrays hold values of one type.' || sections[1].codeExamples.length !== 1 ||
+          sections[2].content.includes('grow')) {
+        throw new Error(`Section content misplaced: ${JSON.stringify(sections)}`);
+      }
+    });
+
+    // Test 31: Commit-pinned GitHub permalinks
+    await this.test('GitHub results link to the crawled commit and line range', async () => {
+      const GitHubCrawler = (await import('./crawlers/github.js')).default;
+      const crawler = new GitHubCrawler();
+      crawler.debugMode = false;
+
+      const sha = 'a1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4e5f6a1b2';
+      const source = 'add :: (a: i32, b: i32) -> i32 {\n    return a + b;\n}\n';
+      const responses = {
+        '/commits/HEAD': { sha },
+        [`/git/trees/${sha}?recursive=1`]: { sha: 'tree', tree: [{ type: 'blob', path: 'src/math.onyx', sha: 'blob1', size: source.length }] },
+        '/git/blobs/blob1': { content: Buffer.from(source).toString('base64') }
+      };
+      const originalFetch = globalThis.fetch;
+      globalThis.fetch = async (url) => {
+        const match = Object.keys(responses).find(suffix => url.endsWith(suffix));
+        return new Response(JSON.stringify(responses[match]), { status: match ? 200 : 404 });
+      };
+
+      try {
+        const files = await crawler.crawlRepository({ owner: 'onyx-lang', name: 'demo', fullName: 'onyx-lang/demo' });
+        const fileUrl = `https://github.com/onyx-lang/demo/blob/${sha}/src/math.onyx`;
+        if (files.length !== 1 || files[0].url !== fileUrl || files[0].commitSha !== sha) {
+          throw new Error(`File not pinned to the commit: ${JSON.stringify(files.map(file => file.url))}`);
+        }
+
+        const [add] = crawler.analyzeOnyxCode(files).patterns.functions;
+        if (add?.permalink !== `${fileUrl}#L1-L3` || crawler.buildPermalink(fileUrl, 4, 4) !== `${fileUrl}#L4`) {
+          throw new Error(`Unexpected permalink: ${add?.permalink}`);
+        }
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
+    // Test 32: Incremental GitHub crawling
+    await this.test('GitHub crawler reuses unchanged files and reports removals', async () => {
+      const GitHubCrawler = (await import('./crawlers/github.js')).default;
+      const repo = { owner: 'onyx-lang', name: 'demo', fullName: 'onyx-lang/demo' };
+      const previousFile = (filePath) => ({ repository: repo.fullName, path: filePath, code: `// ${filePath}`, content: `// ${filePath}` });
+
+      const newCrawler = () => {
+        const crawler = new GitHubCrawler();
+        crawler.debugMode = false;
+        crawler.previousState = {
+          repositories: {
+            [repo.fullName]: { commitSha: 'old', etags: { commit: '"etag-old"' }, blobs: { 'keep.onyx': 'same', 'edit.onyx': 'v1', 'gone.onyx': 'g1' } }
+          }
+        };
+        crawler.previousFiles.set(repo.fullName, ['keep.onyx', 'edit.onyx', 'gone.onyx'].map(previousFile));
+        return crawler;
+      };
+
+      const requests = [];
+      let commitResponse;
+      const responses = {
+        '/git/trees/new?recursive=1': {
+          sha: 'tree',
+          tree: [
+            { type: 'blob', path: 'keep.onyx', sha: 'same', size: 10 },
+            { type: 'blob', path: 'edit.onyx', sha: 'v2', size: 10 }
+          ]
+        },
+        '/git/blobs/v2': { content: Buffer.from('edited :: () {}').toString('base64') }
+      };
+      const originalFetch = globalThis.fetch;
+      globalThis.fetch = async (url, options) => {
+        requests.push({ url, etag: options?.headers?.['If-None-Match'] });
+        if (url.endsWith('/commits/HEAD')) return commitResponse();
+        const match = Object.keys(responses).find(suffix => url.endsWith(suffix));
+        return new Response(JSON.stringify(responses[match]), { status: match ? 200 : 404 });
+      };
+
+      try {
+        // HEAD unchanged: the stored ETag gets a 304 and every file is reused
+        commitResponse = () => new Response(null, { status: 304 });
+        const unchangedCrawler = newCrawler();
+        const reused = await unchangedCrawler.crawlRepository(repo);
+        if (requests.length !== 1 || requests[0].etag !== '"etag-old"' || reused.length !== 3 ||
+            unchangedCrawler.changes.unchanged[0] !== repo.fullName) {
+          throw new Error(`304 path did not reuse the previous crawl: ${JSON.stringify(requests)}`);
+        }
+
+        // New commit: only the changed blob is fetched
+        requests.length = 0;
+        commitResponse = () => new Response(JSON.stringify({ sha: 'new' }), { status: 200, headers: { etag: '"etag-new"' } });
+        const crawler = newCrawler();
+        const files = await crawler.crawlRepository(repo);
+        const [change] = crawler.changes.updated;
+        if (requests.some(request => request.url.endsWith('/git/blobs/same')) || change.reused !== 1 ||
+            change.modified.join() !== 'edit.onyx' || change.removed.join() !== 'gone.onyx' || files.length !== 2) {
+          throw new Error(`Unexpected incremental crawl: ${JSON.stringify(change)}`);
+        }
+        const state = crawler.crawlState.repositories[repo.fullName];
+        if (state.etags.commit !== '"etag-new"' || state.blobs['edit.onyx'] !== 'v2') {
+          throw new Error(`Crawl state not updated: ${JSON.stringify(state)}`);
+        }
+      } finally {
+        globalThis.fetch = originalFetch;
+      }
+    });
+
+    // Test 33: MCP session limits
+    await this.test('Idle MCP sessions expire and open sessions are capped', async () => {
+      const { OnyxMcpHttpServer } = await import('./mcp-http.js');
+      const server = new OnyxMcpHttpServer(0);
+      server.mcpSessionConfig = { idleSeconds: 60, maxSessions: 1 };
+      server.logger = { info: () => {}, warn: () => {}, error: () => {} };
+      const originalLog = console.log;
+      console.log = () => {};
+      const httpServer = await server.start();
+      console.log = originalLog;
+
+      const url = `http://localhost:${httpServer.address().port}/mcp`;
+      const post = (body, sessionId) => fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json, text/event-stream',
+          ...(sessionId && { 'Mcp-Session-Id': sessionId })
+        },
+        body: JSON.stringify(body)
+      });
+      const initialize = async () => {
+        const response = await post({
+          jsonrpc: '2.0', id: 1, method: 'initialize',
+          params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+        });
+        await response.text();
+        return response;
+      };
+
+      try {
+        const first = await initialize();
+        const sessionId = first.headers.get('mcp-session-id');
+        const second = await initialize();
+        if (!sessionId || second.status !== 503) {
+          throw new Error(`Expected the second session to be refused, got ${second.status}`);
+        }
+
+        await server.expireMcpSessions(Date.now() + 61000);
+        const expired = await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, sessionId);
+        await expired.text();
+        const third = await initialize();
+        if (server.mcpSessions.size !== 1 || expired.status !== 404 || third.status !== 200) {
+          throw new Error(`Idle session was not expired: ${expired.status}, ${third.status}`);
+        }
+      } finally {
+        clearInterval(server.mcpSweepTimer);
+        await new Promise(resolve => httpServer.close(resolve));
+      }
+    });
+
     // Print results
     console.log('\n📊 Test Results:');
     console.log(`✅ Passed: ${this.passed}`);